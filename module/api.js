@@ -1,11 +1,66 @@
+import RequestScheduler from "./scheduler.js";
+import WorldAnvilCache from "./cache.js";
+import {WorldAnvilError, WorldAnvilAuthError, WorldAnvilResponseError} from "./errors.js";
+import {logger, registerSecret} from "./logger.js";
+
+/**
+ * Article fields returned by the Boromir API which are sections of the article templates.
+ * Other fields are metadata, unless World Anvil renders them as HTML, see WorldAnvil#_normalizeArticle
+ * @type {string[]}
+ */
+const ARTICLE_SECTION_FIELDS = [
+
+  // Shared by every template
+  "sidebarcontent", "sidepanelcontenttop", "sidepanelcontent", "sidebarcontentbottom", "footnotes", "fullfooter",
+  "authornotes", "scrapbook", "credits", "seeded",
+
+  // Person
+  "eyes", "hair", "skin", "height", "weight", "physique", "bodyFeatures", "facialFeatures",
+  "identifyingCharacteristics", "specialAbilities", "apparel", "specialEquipment", "mentalCharacteristics",
+  "personalHistory", "education", "employment", "accomplishments", "failures", "mentalTrauma",
+  "intellectualCharacteristics", "morality", "taboos", "motivation", "personality", "religion", "family",
+
+  // Location and organization
+  "demographics", "government", "defences", "industry", "infrastructure", "guilds", "history", "architecture",
+  "geography", "ecosystem", "localizedPhenomena", "climate", "fauna", "flora", "naturalResources", "tourism",
+  "structure", "culture", "agenda", "assets", "territories", "mythology", "legacy",
+
+  // Item, species and condition
+  "mechanics", "manufacturing", "materials", "significance", "anatomy", "perception", "lifespan", "diet",
+  "symptoms", "treatment", "transmission", "prognosis", "cultivation", "uses"
+];
+
+/**
+ * Request parameters which are sent as the JSON body of a request using the HTTP method of the same name
+ * @type {string[]}
+ */
+const BODY_METHODS = ["post", "put", "patch"];
+
+/**
+ * The default base URL of the World Anvil API (v2: Boromir)
+ * @type {string}
+ */
+export const DEFAULT_API_BASE_URL = "https://www.worldanvil.com/api/external/boromir/";
+
 /**
  * A collection of methods for interacting with the World Anvil API
- * https://www.worldanvil.com/api/aragorn/documentation
+ * https://www.worldanvil.com/api/external/boromir/documentation
  */
 export default class WorldAnvil {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.baseUrl]    The base URL of the API. Defaults to the apiBaseUrl setting
+   */
+  constructor({baseUrl}={}) {
     const config = game.settings.get("world-anvil", "configuration");
 
+    /**
+     * The base URL of the World Anvil API, which may target a local mock server during development
+     * @type {string}
+     */
+    this.baseUrl = baseUrl || game.settings.get("world-anvil", "apiBaseUrl") || DEFAULT_API_BASE_URL;
+    if ( !this.baseUrl.endsWith("/") ) this.baseUrl += "/";
+
     /**
      * The Foundry VTT Application API key
      * @type {string}
@@ -13,98 +68,108 @@ export default class WorldAnvil {
     this.applicationKey = "LP2TqRQpsCqcfM6UnQ8vhtE7WPHLXZDS7HgD";
 
     /**
-     * The World Anvil user token
+     * The World Anvil user token, stored on this client only
      * @type {string|null}
      */
-    this.authToken = config.authToken;
+    this.authToken = game.settings.get("world-anvil", "authToken") || null;
+    registerSecret(this.applicationKey);
+    registerSecret(this.authToken);
 
     /**
-     * An array of World IDs which belong to the World Anvil user
-     * @type {string[]}
+     * An array of Worlds which belong to the World Anvil user
+     * @type {object[]}
      */
     this.worlds = [];
 
     /**
-     * The currently associated World ID
+     * The IDs of every World Anvil world linked to this Foundry world
+     * @type {string[]}
+     */
+    this.worldIds = config.worldIds ?? (config.worldId ? [config.worldId] : []);
+
+    /**
+     * The currently active World ID, displayed in the browser and used by default for world requests
      * @type {string|null}
      */
-    this.worldId = config.worldId;
+    this.worldId = this.worldIds[0] ?? null;
 
     /**
      * The currently associated World Anvil User
      * @type {object|null}
      */
     this.user = null;
+
+    /**
+     * The queue through which every API request is submitted
+     * @type {RequestScheduler}
+     */
+    this.requests = new RequestScheduler();
+
+    /**
+     * A persistent cache of API responses, kept across reloads
+     * @type {WorldAnvilCache}
+     */
+    this.cache = new WorldAnvilCache();
   }
 
   /**
-   * A cached storage of World data
-   * @private
+   * The last known updateDate of each article, as listed by the most recent article listing
+   * @type {Map<string, string>}
    */
-  world = null;
+  #articleUpdateDates = new Map();
+
+  /**
+   * A cached storage of World data, by World ID
+   * @type {Map<string, object>}
+   */
+  #worldData = new Map();
 
   /* -------------------------------------------- */
 
   /**
-   * Report whether we have connected to the World Anvil service by obtaining the User
-   * @return {boolean}
+   * The cached data of the active World, if it has been retrieved
+   * @type {object|null}
    */
-  get connected() {
-    return !!this.user;
+  get world() {
+    return this.#worldData.get(this.worldId) ?? null;
   }
 
   /* -------------------------------------------- */
 
   /**
-   * Submit an API request to a World Anvil API endpoint (v1: Aragorn)
-   * @param {string} endpoint     The endpoint name
-   * @param {object} params       Additional request parameters
-   * @return {Promise<object>}    The World Anvil API response
-   * @private
+   * Report whether we have connected to the World Anvil service by obtaining the User
+   * @return {boolean}
    */
-  async _fetch(endpoint, params = {}) {
-    if (!this.authToken) throw new Error("An authentication token has not been set for the World Anvil API.");
-
-    // Structure the endpoint
-    endpoint = `https://www.worldanvil.com/api/aragorn/${endpoint}`;
-
-    // Construct querystring
-    params["x-application-key"] = this.applicationKey;
-    params["x-auth-token"] = this.authToken;
-    const query = Object.entries(params).map(e => `${e[0]}=${e[1]}`).join('&');
-    endpoint += "?" + query;
-
-    // Submit the request
-    console.log(`World Anvil | Submitting API request to ${endpoint}`);
-    const response = await fetch(endpoint);
-    if (response.status !== 200) {
-      throw new Error(`World Anvil API request failed for endpoint ${endpoint}`);
-    }
-    return response.json();
+  get connected() {
+    return !!this.user;
   }
 
+  /* -------------------------------------------- */
 
   /**
    * Submit an API request to a World Anvil API endpoint (v2: Boromir)
    * @param {string} endpoint     The endpoint name
    * @param {object} params       Additional request parameters
+   * @param {object} [options]
+   * @param {boolean} [options.retry=true]  Whether server and network failures are retried, see RequestScheduler
+   * @param {AbortSignal} [options.signal]  A signal which aborts the request
    * @return {Promise<object>}    The World Anvil API response
    * @private
    */
-  async _fetchV2(endpoint, params = {}) {
-    if (!this.authToken) throw new Error("An authentication token has not been set for the World Anvil API.");
+  async _fetch(endpoint, params = {}, {retry=true, signal}={}) {
+    if (!this.authToken) throw new WorldAnvilAuthError("An authentication token has not been set for the World Anvil API.");
 
     // Structure the endpoint
-    endpoint = `https://www.worldanvil.com/api/external/boromir/${endpoint}`;
+    endpoint = `${this.baseUrl}${endpoint}`;
 
     // Construct querystring
-    const query = Object.entries(params).filter(e => e[0] != "post").map(e => `${e[0]}=${e[1]}`).join('&');
+    const query = Object.entries(params).filter(e => !BODY_METHODS.includes(e[0])).map(e => `${e[0]}=${e[1]}`).join('&');
     if( query != "" ) {
       endpoint += "?" + query;
     }
 
-    // Submit the request
-    console.log(`World Anvil | Submitting API request to ${endpoint}`);
+    // Submit the request. Credentials are only sent as headers
+    logger.log(`Submitting API request to ${endpoint}`);
     const requestInit = {
       method: "GET",
       headers: {
@@ -112,48 +177,20 @@ export default class WorldAnvil {
         "x-auth-token": this.authToken
       }
     };
-    if( params.post ) {
-      requestInit.method = "POST";
-      requestInit.body = JSON.stringify(params.post);
+    const method = BODY_METHODS.find(m => params[m]);
+    if( method ) {
+      requestInit.method = method.toUpperCase();
+      requestInit.body = JSON.stringify(params[method]);
     }
-    const response = await fetch(endpoint, requestInit);
+    const response = await this.requests.schedule(signal => fetch(endpoint, {...requestInit, signal}), {retry, signal});
     if (response.status !== 200) {
-      throw new Error(`World Anvil API request failed for endpoint ${endpoint}`);
+      throw WorldAnvilError.fromResponse(response, endpoint);
     }
-    return response.json();
-  }
-
-  /* -------------------------------------------- */
-
-  /**
-   * Retrieve a batch of content from the World Anvil API. (v1: Aragorn)
-   * Continue querying paginated content until we have retrieved all results.
-   * @param {string} endpoint         The API endpoint being queried
-   * @param {string} collectionName   The name of the collection in the returned object
-   * @param {number} [limit]          A maximum number of articles to retrieve in this request
-   * @param {number} [offset]         An offset index from which to query a batch of categories
-   * @param {object} [params]         Additional optional query parameters
-   * @return {Promise<object[]>}      An array of returned objects
-   */
-  async _fetchMany(endpoint, collectionName, {limit = 50, offset = 0, ...params} = {}) {
-    let hasMore = true;
-    let result = undefined;
-
-    // Iterate until all results are retrieved
-    while (hasMore) {
-      const batch = await this._fetch(`world/${this.worldId}/${endpoint}`, {limit: limit, offset: offset, ...params});
-      batch[collectionName] = batch[collectionName] || [];
-
-      // Determine whether more results are available
-      const nReturned = batch[collectionName].length;
-      hasMore = nReturned === limit;  // There may be more
-      offset += nReturned; // Increment the pagination
-
-      // Store the query results
-      if (!result) result = batch;  // Store the 1st result
-      else result[collectionName] = result[collectionName].concat(batch[collectionName]); // Append additional results
+    try {
+      return await response.json();
+    } catch(err) {
+      throw new WorldAnvilResponseError(`World Anvil API returned malformed JSON for endpoint ${endpoint}`, {endpoint, cause: err});
     }
-    return result;
   }
 
   /* -------------------------------------------- */
@@ -163,9 +200,11 @@ export default class WorldAnvil {
    * Continue querying paginated content until we have retrieved all results.
    * @param {string} endpoint         The API endpoint being queried
    * @param {object} [params]         Additional optional query parameters
+   * @param {string} [params.id]      The id of the parent entity. Defaults to the current World
    * @return {Promise<object[]>}      An array of returned objects
+   * @private
    */
-  async _fetchManyV2(endpoint, {...params} = {}) {
+  async _fetchMany(endpoint, {id=this.worldId, ...params} = {}) {
     const limit = 50;
     const result = [];
     let hasMore = true;
@@ -173,72 +212,179 @@ export default class WorldAnvil {
 
     while (hasMore) {
       const post = {limit, offset};
-      const batch = await this._fetchV2(`world/${endpoint}`, {post, id: this.worldId, granularity:2, ...params});
+      const batch = await this._fetch(endpoint, {post, id, granularity: 2, ...params});
       if( !batch.success ) {
-        throw new Error(`World Anvil API request failed for ${endpoint} : ${batch.error}`);
+        throw new WorldAnvilResponseError(`World Anvil API request failed for ${endpoint} : ${batch.error}`, {endpoint});
       }
+      const entities = batch.entities ?? [];
       offset += limit;
-      hasMore = batch.entities?.length == limit;
-      result.push(...batch.entities);
+      hasMore = entities.length == limit;
+      result.push(...entities);
     }
     return result;
   }
 
   /* -------------------------------------------- */
 
+  /**
+   * Retrieve a complete listing of entities, optionally reading it from the persistent cache.
+   * Listings which are filtered by additional parameters are never cached.
+   * @param {string} endpoint         The API endpoint being queried
+   * @param {object} [params]         Additional optional query parameters, see _fetchMany
+   * @param {boolean} [params.cached=false]   Return the cached listing, if there is one
+   * @return {Promise<{entities: object[], cached: boolean}>}  The entities, and whether they came from the cache
+   * @private
+   */
+  async _fetchListing(endpoint, {cached=false, ...params}={}) {
+    const id = params.id ?? this.worldId;
+    const cacheable = Object.keys(params).every(k => k === "id");
+    if ( cached && cacheable ) {
+      const record = await this.cache.get(endpoint, id);
+      if ( record ) return {entities: record.data, cached: true};
+    }
+    const entities = await this._fetchMany(endpoint, params);
+    if ( cacheable ) this.cache.set(endpoint, id, entities);
+    return {entities, cached: false};
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Establish a new connection to the World Anvil API, obtaining a list of Worlds
    * @param {string} [authToken]
    */
   async connect(authToken) {
-    if (authToken !== undefined) this.authToken = authToken;
+    if (authToken !== undefined) {
+      this.authToken = authToken;
+      this.user = null;
+      registerSecret(authToken);
+    }
     if (!this.authToken) return;
     this.user = await this.getUser();
-    console.log(`World Anvil | Connected to World Anvil API as User ${this.user.username}`);
+    logger.log(`Connected to World Anvil API as User ${this.user.username}`);
   }
 
   /* -------------------------------------------- */
 
   /**
-   * Fetch
-   * @param articleId
+   * Fetch a single Article, with its sections and parsed contents.
+   * The cached article is reused if the latest article listing reports that it has not been updated since.
+   * @param {string} articleId
+   * @param {object} [options]
+   * @param {boolean} [options.cache=true]  Allow to reuse an unchanged cached article
+   * @param {AbortSignal} [options.signal]  A signal which aborts the request
    * @return {Promise<object>}
    */
-  async getArticle(articleId) {
-    return this._fetch(`article/${articleId}`);
+  async getArticle(articleId, {cache=true, signal}={}) {
+    const knownUpdateDate = this.#articleUpdateDates.get(articleId);
+    if ( cache && knownUpdateDate ) {
+      const record = await this.cache.get("article", articleId);
+      if ( record?.updateDate === knownUpdateDate ) return record.data;
+    }
+    const article = await this._normalizeArticle(await this._fetch("article", {id: articleId, granularity: 2}, {signal}), {signal});
+    this.cache.set("article", articleId, article, {updateDate: article.updateDate});
+    return article;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Create a new article on World Anvil.
+   * The request is not retried after a server or network failure, which could create the article twice.
+   * @param {object} data             The article data, including its title, templateType, world and category
+   * @return {Promise<object>}        The World Anvil API response, containing the id of the created article
+   */
+  async createArticle(data) {
+    const response = await this._fetch("article", {put: data}, {retry: false});
+    if ( !response?.id ) {
+      throw new WorldAnvilResponseError(`World Anvil refused the creation of article ${data.title}: ${response?.error}`, {endpoint: "article"});
+    }
+    return response;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Update some fields of an article on World Anvil
+   * @param {string} articleId        The World Anvil article ID
+   * @param {object} data             The updated fields, such as content in BBCode
+   * @return {Promise<object>}        The World Anvil API response
+   */
+  async updateArticle(articleId, data) {
+    const response = await this._fetch("article", {id: articleId, patch: data});
+    if ( response?.success === false ) {
+      throw new WorldAnvilResponseError(`World Anvil refused the update of article ${articleId}: ${response.error}`, {endpoint: "article"});
+    }
+    this.#articleUpdateDates.delete(articleId);
+    await this.cache.delete("article", articleId);
+    return response;
   }
 
   /* -------------------------------------------- */
 
   /**
    * Fetch all articles from within a World, optionally filtering with a specific search query
-   * @param {object} [params={}]      Optional query parameters, see _fetchMany
-   * @return {Promise<object[]>}      An array of Article objects
+   * @param {object} [params={}]      Optional query parameters, see _fetchListing
+   * @param {string} [params.worldId] The World from which articles are listed. Defaults to the active World
+   * @return {Promise<{articles: object[], cached: boolean}>}  An object containing the array of Article objects
    */
-  async getArticles(params = {}) {
-    return this._fetchMany("articles", "articles", params);
+  async getArticles({worldId=this.worldId, ...params} = {}) {
+    const {entities, cached} = await this._fetchListing("world/articles", {id: worldId, ...params});
+    const articles = entities.map(a => this._normalizeArticleSummary(a));
+    for ( const article of articles ) this.#articleUpdateDates.set(article.id, article.updateDate);
+    return { articles, cached };
   }
 
   /* -------------------------------------------- */
 
   /**
    * Fetch all categories from within a World, optionally filtering with a specific search query
-   * @param {object} [params={}]      Optional query parameters, see _fetchMany
-   * @return {Promise<object[]>}      An array of category objects
+   * @param {object} [params={}]      Optional query parameters, see _fetchListing
+   * @param {string} [params.worldId] The World from which categories are listed. Defaults to the active World
+   * @return {Promise<{categories: object[], cached: boolean}>}  An object containing the array of category objects
+   */
+  async getCategories({worldId=this.worldId, ...params} = {}) {
+    const {entities, cached} = await this._fetchListing("world/categories", {id: worldId, ...params});
+    return { categories: this._normalizeCategories(entities), cached };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Fetch all interactive maps from within a World
+   * @param {object} [params={}]      Optional query parameters, see _fetchListing
+   * @param {string} [params.worldId] The World from which maps are listed. Defaults to the active World
+   * @return {Promise<{maps: object[], cached: boolean}>}  An object containing the array of map objects
    */
-  async getCategories(params = {}) {
-    return this._fetchMany("categories", "categories", params);
+  async getMaps({worldId=this.worldId, ...params} = {}) {
+    const {entities, cached} = await this._fetchListing("world/maps", {id: worldId, ...params});
+    return { maps: entities, cached };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Fetch a single interactive map, and the markers which are placed on it
+   * @param {string} mapId            The World Anvil map ID
+   * @return {Promise<object>}        The map, with its markers
+   */
+  async getMap(mapId) {
+    const map = await this._fetch("map", {id: mapId, granularity: 2});
+    map.markers = await this._fetchMany("map/markers", {id: mapId});
+    return map;
   }
 
   /* -------------------------------------------- */
 
   /**
    * Fetch all timelines and historical entries from within a World, optionally filtering with a specific search query
-   * @param {object} [params={}]      Optional query parameters, see _fetchMany
+   * @param {object} [params={}]      Optional query parameters, see _fetchListing
+   * @param {string} [params.worldId] The World from which histories are listed. Defaults to the active World
    * @return {Promise<object[]>}      An array of category objects
    */
-  async getTimelines(params = {}) {
-    return this._fetchManyV2("histories", params);
+  async getTimelines({worldId=this.worldId, ...params} = {}) {
+    const {entities} = await this._fetchListing("world/histories", {id: worldId, ...params});
+    return entities;
   }
 
   /* -------------------------------------------- */
@@ -247,13 +393,15 @@ export default class WorldAnvil {
    * Fetch all timelines and historical entries from within a World, optionally filtering with a specific search query
    * @param {string} [articleId]      If an articleId is available
    * @param {string} [specificString]      If you want to parse a specific string
+   * @param {string} [worldId]        The World in which links are resolved. Defaults to the active World
+   * @param {AbortSignal} [signal]    A signal which aborts the request
    * @return {Promise<object[]>}      An array of category objects
    */
-  async parseContent({articleId=null, specificString=null}={}) {
+  async parseContent({articleId=null, specificString=null, worldId=this.worldId, signal}={}) {
     const realParams = {
       post: {
         world: {
-          id: this.worldId
+          id: worldId
         },
         renderer: "html"
       }
@@ -267,9 +415,9 @@ export default class WorldAnvil {
       realParams.post.string = specificString;
     }
 
-    const result = await this._fetchV2("bbcode", realParams);
+    const result = await this._fetch("bbcode", realParams, {signal});
     if(!result.success) {
-      throw `Can't retrieved parseContent from WA for text '${specificString}' (article: ${articleId}) : ${result.reason}`;
+      throw new WorldAnvilResponseError(`Can't retrieved parseContent from WA for text '${specificString}' (article: ${articleId}) : ${result.reason}`, {endpoint: "bbcode"});
     }
     return result.parsedString;
   }
@@ -277,11 +425,12 @@ export default class WorldAnvil {
   /* -------------------------------------------- */
 
   /**
-   * Fetch all articles from within a World, optionally filtering with a specific search query
+   * Fetch the World Anvil User which owns the authentication token
    * @return {Promise<object>}    The World Anvil User object
    */
   async getUser() {
-    return this._fetch("user");
+    const identity = await this._fetch("identity");
+    return this._fetch("user", {id: identity.id, granularity: 1});
   }
 
   /* -------------------------------------------- */
@@ -293,22 +442,131 @@ export default class WorldAnvil {
    */
   async getWorlds() {
     if (!this.connected) return [];
-    const request = await this._fetch(`user/${this.user.id}/worlds`);
-    return this.worlds = request.worlds;
+    return this.worlds = await this._fetchMany("user/worlds", {id: this.user.id, granularity: 1});
   }
 
   /* -------------------------------------------- */
 
   /**
    * Fetch the complete data for a specific World and cache it to the API object
-   * @param {string} worldId        The World ID
-   * @return {Promise<object>}    An array of Article objects
+   * @param {string} [worldId]      The World ID. Defaults to the active World
+   * @return {Promise<object>}    The World object
+   */
+  async getWorld(worldId=this.worldId) {
+    if ( this.#worldData.has(worldId) ) return this.#worldData.get(worldId);
+    const world = await this._fetch("world", {id: worldId, granularity: 2});
+    if ( world.description_parsed === undefined ) {
+      world.description_parsed = world.description ? await this.parseContent({specificString: world.description, worldId}) : "";
+    }
+    this.#worldData.set(worldId, world);
+    return world;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Update the list of World Anvil worlds linked to this Foundry world.
+   * The active World is kept if it is still linked, otherwise the first linked World becomes active.
+   * @param {string[]} worldIds     The linked World IDs
+   */
+  linkWorlds(worldIds) {
+    this.worldIds = worldIds;
+    if ( !worldIds.includes(this.worldId) ) this.worldId = worldIds[0] ?? null;
+  }
+
+  /* -------------------------------------------- */
+  /*  Response Normalization                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Boromir flattens article sections as top-level fields and does not always provide parsed content.
+   * Restore the article structure which is expected by the import framework.
+   * @param {object} article      The article as returned by the Boromir API
+   * @param {object} [options]
+   * @param {{parseContent: function}} [options.parser]  Parses BBCode content. Defaults to the World Anvil API
+   * @param {AbortSignal} [options.signal]  A signal which aborts the parsing requests
+   * @return {Promise<Article>}   The normalized article
+   * @private
+   */
+  async _normalizeArticle(article, {parser=this, signal}={}) {
+    this._normalizeArticleSummary(article);
+    const parse = async (content, parsed) => {
+      if ( typeof parsed === "string" ) return parsed;
+      if ( !content ) return "";
+      return parser.parseContent({articleId: article.id, specificString: content, worldId: article.world?.id, signal});
+    };
+
+    // Article sections are the known template fields, and the other fields which World Anvil renders as HTML
+    if ( !article.sections ) {
+      const sectionIds = Object.keys(article).filter(id => {
+        if ( id === "content" ) return false;
+        const value = article[id];
+        if ( (typeof value !== "string") || (value.trim() === "") ) return false;
+        return ARTICLE_SECTION_FIELDS.includes(id) || (typeof article[`${id}Parsed`] === "string");
+      });
+      const sections = {
+        displaySidebar: {content: "", contentParsed: article.displaySidebar ? "1" : "0"}
+      };
+      await Promise.all(sectionIds.map(async id => {
+        const content = article[id];
+        sections[id] = {content, contentParsed: await parse(content, article[`${id}Parsed`])};
+      }));
+      article.sections = sections;
+    }
+
+    // Main content
+    article.content = article.content ?? "";
+    article.contentParsed = await parse(article.content, article.contentParsed);
+    article.fullRender = article.fullRender ?? "";
+    article.relations = article.relations ?? {timeline: article.timeline ?? null};
+    return article;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Normalize the fields of an article which are shared between article listings and full articles.
+   * @param {object} article      The article as returned by the Boromir API
+   * @return {object}             The same article, with Aragorn-style field names
+   * @private
+   */
+  _normalizeArticleSummary(article) {
+    article.is_draft = article.is_draft ?? !!article.isDraft;
+    article.is_wip = article.is_wip ?? !!article.isWip;
+    article.template = article.template ?? article.templateType;
+    article.updateDate = WorldAnvil.#normalizeDate(article.updateDate);
+    if ( Array.isArray(article.tags) ) article.tags = article.tags.join(",");
+    return article;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Boromir categories only reference their parent category.
+   * Rebuild the children listing which is used to create the category tree.
+   * @param {object[]} categories   The categories as returned by the Boromir API
+   * @return {object[]}             The same categories, with children and articles listings
+   * @private
+   */
+  _normalizeCategories(categories) {
+    for ( const category of categories ) {
+      category.updateDate = WorldAnvil.#normalizeDate(category.updateDate);
+      category.articles = category.articles ?? [];
+      category.children = categories.filter(c => c.parentCategory?.id === category.id).map(c => ({id: c.id}));
+    }
+    return categories;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Boromir dates are objects holding the date string and its timezone. Only keep a comparable string.
+   * @param {object|string|null} date   The date as returned by the Boromir API
+   * @return {string|null}
+   * @private
    */
-  async getWorld(worldId) {
-    if ( this.world?.id === worldId ) return this.world;
-    if (worldId !== undefined) this.worldId = worldId;
-    const world = await this._fetch(`world/${this.worldId}`);
-    this.worldId = worldId;
-    return this.world = world;
+  static #normalizeDate(date) {
+    if ( !date ) return null;
+    return (typeof date === "object") ? date.date : date;
   }
 }
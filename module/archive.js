@@ -0,0 +1,225 @@
+import {bbCodeToHTML} from "./bbcode.js";
+
+/**
+ * Zip record signatures
+ * @enum {number}
+ */
+const ZIP_SIGNATURES = {
+  localFile: 0x04034b50,
+  centralDirectory: 0x02014b50,
+  endOfCentralDirectory: 0x06054b50
+};
+
+/**
+ * The export archive of a World Anvil world, read without the World Anvil API.
+ * It provides the same World, category and article data as the API, so that archived articles are imported
+ * by the same framework as live ones. BBCode is rendered locally, see bbCodeToHTML.
+ */
+export default class WorldAnvilArchive {
+  /**
+   * @param {object} options
+   * @param {object} options.world              The archived World
+   * @param {object[]} options.categories       The archived categories
+   * @param {object[]} options.articles         The archived articles
+   */
+  constructor({world, categories, articles}) {
+
+    /**
+     * The archived World
+     * @type {object}
+     */
+    this.world = world;
+
+    /**
+     * The archived categories
+     * @type {object[]}
+     */
+    this.categories = categories;
+
+    /**
+     * The archived articles, by ID
+     * @type {Map<string, object>}
+     */
+    this.articles = new Map(articles.map(a => [a.id, a]));
+
+    // Articles reference the archived World, and are listed by their category
+    for ( const article of articles ) article.world = {id: world.id};
+    for ( const category of categories ) {
+      category.articles = articles.filter(a => a.category?.id === category.id).map(a => ({id: a.id}));
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Read a World Anvil export archive. Only its JSON files are read.
+   * Each file contains a World, a category or an article, or an array of them, identified by their entityClass,
+   * or else by the directory which contains them.
+   * @param {File|Blob} file                    The uploaded zip file
+   * @return {Promise<WorldAnvilArchive>}
+   */
+  static async fromFile(file) {
+    const files = await WorldAnvilArchive.#readZip(await file.arrayBuffer(), name => name.endsWith(".json"));
+    const content = {world: null, categories: [], articles: []};
+    for ( const [path, data] of files ) {
+      let json;
+      try {
+        json = JSON.parse(data);
+      } catch(err) {
+        throw new Error(game.i18n.format("WA.Archive.InvalidFile", {path}), {cause: err});
+      }
+      for ( const entity of [json].flat() ) {
+        switch ( WorldAnvilArchive.#getEntityType(path, entity) ) {
+          case "world":
+            content.world = entity;
+            break;
+          case "category":
+            content.categories.push(entity);
+            break;
+          case "article":
+            content.articles.push(entity);
+            break;
+        }
+      }
+    }
+    if ( !content.world?.id ) throw new Error(game.i18n.localize("WA.Archive.NoWorld"));
+    content.world.name = content.world.name ?? content.world.title;
+    return new this(content);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Identify the type of an archived entity
+   * @param {string} path             The path of the file which contains the entity
+   * @param {object} entity           The archived entity
+   * @return {string|null}            "world", "category", "article", or null if it is not imported
+   * @private
+   */
+  static #getEntityType(path, entity) {
+    if ( !entity?.id ) return null;
+    const entityClass = entity.entityClass?.toLowerCase();
+    if ( ["world", "category", "article"].includes(entityClass) ) return entityClass;
+    if ( entityClass ) return null;
+    const segments = path.toLowerCase().split("/");
+    if ( segments.at(-1) === "world.json" ) return "world";
+    if ( segments.some(s => s.startsWith("categor")) ) return "category";
+    if ( segments.some(s => s.startsWith("article")) ) return "article";
+    return null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the archived World
+   * @return {Promise<object>}
+   */
+  async getWorld() {
+    return this.world;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the archived categories, structured like the World Anvil API listing
+   * @return {Promise<{categories: object[], cached: boolean}>}
+   */
+  async getCategories() {
+    const anvil = game.modules.get("world-anvil").anvil;
+    return {categories: anvil._normalizeCategories(this.categories), cached: false};
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get an archived article, structured like the World Anvil API article
+   * @param {string} articleId        The World Anvil article ID
+   * @return {Promise<Article>}
+   */
+  async getArticle(articleId) {
+    const archived = this.articles.get(articleId);
+    if ( !archived ) throw new Error(game.i18n.format("WA.Archive.NoArticle", {id: articleId}));
+    const anvil = game.modules.get("world-anvil").anvil;
+    return anvil._normalizeArticle(foundry.utils.deepClone(archived), {parser: this});
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Render BBCode content as HTML. Article blocks become mentions of the archived article.
+   * @param {object} options
+   * @param {string} [options.specificString]  The BBCode content
+   * @return {Promise<string>}                  The HTML content
+   */
+  async parseContent({specificString}={}) {
+    const bbcode = (specificString ?? "").replace(/\[articleblock:([^\]]+)\]/g, (match, id) => {
+      const title = this.articles.get(id)?.title ?? id;
+      return `@[${title}](article:${id})`;
+    });
+    return bbCodeToHTML(bbcode);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Read the files of a zip archive. Stored and deflated files are supported, zip64 archives are not.
+   * @param {ArrayBuffer} buffer                  The zip archive
+   * @param {function(string): boolean} filter    Whether a file should be read, from its path
+   * @return {Promise<Map<string, string>>}      The text content of each read file, by path
+   * @private
+   */
+  static async #readZip(buffer, filter) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // The end of central directory record is followed by a comment of at most 65535 bytes
+    let end = -1;
+    for ( let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i-- ) {
+      if ( view.getUint32(i, true) === ZIP_SIGNATURES.endOfCentralDirectory ) {
+        end = i;
+        break;
+      }
+    }
+    if ( end < 0 ) throw new Error(game.i18n.localize("WA.Archive.InvalidZip"));
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    if ( offset === 0xFFFFFFFF ) throw new Error(game.i18n.localize("WA.Archive.InvalidZip"));
+
+    // Read each file listed by the central directory
+    const files = new Map();
+    for ( let i = 0; i < count; i++ ) {
+      if ( view.getUint32(offset, true) !== ZIP_SIGNATURES.centralDirectory ) {
+        throw new Error(game.i18n.localize("WA.Archive.InvalidZip"));
+      }
+      const method = view.getUint16(offset + 10, true);
+      const size = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+      if ( path.endsWith("/") || !filter(path) ) continue;
+
+      // File data follow their local header, whose extra field may differ from the central directory one
+      if ( view.getUint32(localOffset, true) !== ZIP_SIGNATURES.localFile ) {
+        throw new Error(game.i18n.localize("WA.Archive.InvalidZip"));
+      }
+      const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = new Uint8Array(buffer, dataOffset, size);
+      switch ( method ) {
+        case 0:
+          files.set(path, decoder.decode(data));
+          break;
+        case 8: {
+          const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+          files.set(path, await new Response(stream).text());
+          break;
+        }
+        default:
+          throw new Error(game.i18n.format("WA.Archive.UnsupportedCompression", {path}));
+      }
+    }
+    return files;
+  }
+}
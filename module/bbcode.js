@@ -0,0 +1,188 @@
+/**
+ * HTML elements which are converted to the BBCode tag of the same meaning
+ * @type {Record<string, string>}
+ */
+const TAGS = {
+  STRONG: "b",
+  B: "b",
+  EM: "i",
+  I: "i",
+  U: "u",
+  S: "s",
+  DEL: "s",
+  STRIKE: "s",
+  SUP: "sup",
+  SUB: "sub",
+  H1: "h1",
+  H2: "h2",
+  H3: "h3",
+  H4: "h4",
+  UL: "ul",
+  OL: "ol",
+  LI: "li",
+  BLOCKQUOTE: "quote",
+  TABLE: "table",
+  TR: "tr",
+  TH: "th",
+  TD: "td"
+};
+
+/**
+ * BBCode tags which are rendered as an HTML element, the reverse of TAGS
+ * @type {Record<string, string>}
+ */
+const ELEMENTS = Object.entries(TAGS).reduce((elements, [element, tag]) => {
+  elements[tag] ??= element.toLowerCase();
+  return elements;
+}, {});
+
+/**
+ * A placeholder for empty paragraphs, which are blank lines in BBCode
+ * @type {string}
+ */
+const BLANK_LINE = "\u0000";
+
+/**
+ * HTML elements which start a new line in BBCode
+ * @type {string[]}
+ */
+const BLOCKS = ["P", "DIV", "SECTION", "H1", "H2", "H3", "H4", "UL", "OL", "LI", "BLOCKQUOTE", "TABLE", "TR"];
+
+/**
+ * URL schemes which may be linked or displayed by rendered BBCode
+ * @type {RegExp}
+ */
+const SAFE_URL = /^https?:\/\/\S+$/i;
+
+/* -------------------------------------------- */
+
+/**
+ * Convert the HTML content of a journal page back to World Anvil BBCode.
+ * Formatting without a BBCode counterpart is dropped, only its text is kept.
+ * Links to other imported articles become World Anvil mentions, and substituted article blocks become
+ * [articleblock] tags again.
+ * @param {string} html         The HTML content
+ * @return {string}             The BBCode content
+ */
+export function htmlToBBCode(html) {
+  const container = document.createElement("div");
+  container.innerHTML = html;
+  return _convertChildren(container)
+    .replace(/[ \t]*\n[ \t]*/g, "\n")
+    .replace(/\n+/g, "\n")
+    .replaceAll(BLANK_LINE, "")
+    .trim();
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Convert every child node of an element
+ * @param {Node} node
+ * @return {string}
+ * @private
+ */
+function _convertChildren(node) {
+  return Array.from(node.childNodes).map(_convertNode).join("");
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Convert a single node and its children
+ * @param {Node} node
+ * @return {string}
+ * @private
+ */
+function _convertNode(node) {
+  if ( node.nodeType === Node.TEXT_NODE ) return node.textContent.replace(/\s*\n\s*/g, " ");
+  if ( node.nodeType !== Node.ELEMENT_NODE ) return "";
+
+  // World Anvil content
+  if ( node.classList.contains("wa-article-block") ) return `\n[articleblock:${node.dataset.articleId}]\n`;
+  if ( node.dataset.articleId ) return `@[${node.textContent.trim()}](article:${node.dataset.articleId})`;
+
+  // Elements without children
+  switch ( node.tagName ) {
+    case "BR":
+      return "\n";
+    case "HR":
+      return "\n[hr]\n";
+    case "IMG": {
+      const src = node.dataset.waSrc ?? node.src;
+      return src ? `[img]${src}[/img]` : "";
+    }
+  }
+
+  // Formatting
+  let content = _convertChildren(node);
+  if ( (node.tagName === "P") && !content.trim() ) return `\n${BLANK_LINE}\n`;
+  if ( node.tagName === "A" ) {
+    const href = node.getAttribute("href");
+    if ( href ) content = `[url:${href}]${content}[/url]`;
+  }
+  else if ( node.tagName in TAGS ) {
+    const tag = TAGS[node.tagName];
+    content = `[${tag}]${content.trim()}[/${tag}]`;
+  }
+  return BLOCKS.includes(node.tagName) ? `\n${content}\n` : content;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Whether a URL may be linked or displayed. Only http(s) URLs are, since others may run scripts.
+ * @param {string} [url]        The URL, which may come from an untrusted archive
+ * @return {boolean}
+ */
+export function isSafeURL(url) {
+  return SAFE_URL.test(url?.trim() ?? "");
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Render World Anvil BBCode as HTML, without the World Anvil API.
+ * Only the tags which have an HTML counterpart are rendered, other tags are removed and their text is kept.
+ * Mentions become links to the mentioned articles, in the format produced by the World Anvil API.
+ * The content may come from an untrusted archive: quotes are escaped, and only http(s) URLs are linked or displayed.
+ * @param {string} bbcode       The BBCode content
+ * @return {string}             The HTML content
+ */
+export function bbCodeToHTML(bbcode) {
+  let html = (bbcode ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;")
+    .replace(/\r\n?/g, "\n");
+
+  // Mentions and links
+  const link = (url, text) => isSafeURL(url) ? `<a href="${url.trim()}">${text}</a>` : text;
+  html = html
+    .replace(/@\[([^\]]*)\]\(([a-z]+):([^)\s]+)\)/g, (match, text, type, id) => {
+      return type === "article" ? `<span data-article-id="${id}">${text}</span>` : text;
+    })
+    .replace(/\[url:([^\]]+)\]([\s\S]*?)\[\/url\]/g, (match, url, text) => link(url, text))
+    .replace(/\[url\]([\s\S]*?)\[\/url\]/g, (match, url) => link(url, url))
+    .replace(/\[img\]([\s\S]*?)\[\/img\]/g, (match, src) => isSafeURL(src) ? `<img src="${src.trim()}">` : "")
+    .replace(/\[img:[^\]]*\]/g, "");
+
+  // Formatting
+  for ( const [tag, element] of Object.entries(ELEMENTS) ) {
+    html = html.replace(new RegExp(`\\[(/?)${tag}\\]`, "g"), `<$1${element}>`);
+  }
+  html = html
+    .replace(/\[(\/?)p\]/g, "<$1p>")
+    .replace(/\[hr\]/g, "<hr>")
+    .replace(/\[br\]/g, "<br>");
+
+  // Remove tags without an HTML counterpart, then render remaining line breaks
+  html = html.replace(/\[\/?[a-z][a-z0-9-]*(?::[^\]]*)?\]/g, "");
+  const blockEnd = new RegExp(`(</?(?:${BLOCKS.join("|")}|hr)>)\\s*\\n`, "gi");
+  return html
+    .replace(blockEnd, "$1")
+    .replace(/\n/g, "<br>")
+    .trim();
+}
@@ -0,0 +1,157 @@
+import {logger} from "./logger.js";
+
+/**
+ * The IndexedDB database which stores World Anvil responses
+ * @type {string}
+ */
+const DB_NAME = "world-anvil";
+
+/**
+ * The version of the database schema
+ * @type {number}
+ */
+const DB_VERSION = 1;
+
+/**
+ * The object store containing the cached responses
+ * @type {string}
+ */
+const STORE_NAME = "responses";
+
+/**
+ * @typedef {Object} CacheRecord
+ * @property {any} data               The cached response
+ * @property {string|null} updateDate The World Anvil updateDate of the cached entity, if any
+ * @property {number} cachedAt        The timestamp at which the response was cached
+ */
+
+/**
+ * A persistent cache of World Anvil API responses, stored in the browser IndexedDB.
+ * Records are keyed by endpoint and entity id. They are kept across reloads and are invalidated by comparing
+ * the updateDate World Anvil returns for each entity.
+ * If IndexedDB is not available, the cache silently behaves as if it were always empty.
+ */
+export default class WorldAnvilCache {
+
+  /**
+   * The opened database
+   * @type {Promise<IDBDatabase>|null}
+   */
+  #db = null;
+
+  /* -------------------------------------------- */
+
+  /**
+   * Read a cached response
+   * @param {string} endpoint         The API endpoint
+   * @param {string} id               The entity id
+   * @return {Promise<CacheRecord|undefined>}
+   */
+  async get(endpoint, id) {
+    try {
+      return await this.#transaction("readonly", store => store.get(this.#key(endpoint, id)));
+    } catch(err) {
+      logger.warn(`Unable to read the cache for ${endpoint} ${id}`, err);
+      return undefined;
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Store a response. The data is copied immediately, so it can be modified afterwards.
+   * @param {string} endpoint         The API endpoint
+   * @param {string} id               The entity id
+   * @param {any} data                The response to cache
+   * @param {object} [options]
+   * @param {string} [options.updateDate]   The World Anvil updateDate of the entity
+   * @return {Promise<void>}
+   */
+  async set(endpoint, id, data, {updateDate=null}={}) {
+    try {
+      const record = {data: structuredClone(data), updateDate, cachedAt: Date.now()};
+      await this.#transaction("readwrite", store => store.put(record, this.#key(endpoint, id)));
+    } catch(err) {
+      logger.warn(`Unable to write the cache for ${endpoint} ${id}`, err);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Remove a cached response
+   * @param {string} endpoint         The API endpoint
+   * @param {string} id               The entity id
+   * @return {Promise<void>}
+   */
+  async delete(endpoint, id) {
+    try {
+      await this.#transaction("readwrite", store => store.delete(this.#key(endpoint, id)));
+    } catch(err) {
+      logger.warn(`Unable to delete the cache for ${endpoint} ${id}`, err);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Remove every cached response
+   * @return {Promise<void>}
+   */
+  async clear() {
+    try {
+      await this.#transaction("readwrite", store => store.clear());
+    } catch(err) {
+      logger.warn("Unable to clear the cache", err);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * @param {string} endpoint
+   * @param {string} id
+   * @return {string}       The key of the record in the object store
+   * @private
+   */
+  #key(endpoint, id) {
+    return `${endpoint}/${id}`;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Open the database, creating the object store on first use
+   * @return {Promise<IDBDatabase>}
+   * @private
+   */
+  #open() {
+    if ( !this.#db ) this.#db = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return this.#db;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Run a request inside a transaction on the object store
+   * @param {IDBTransactionMode} mode                       The transaction mode
+   * @param {function(IDBObjectStore): IDBRequest} callback  A function submitting the request
+   * @return {Promise<any>}                                 The request result, once the transaction is complete
+   * @private
+   */
+  async #transaction(mode, callback) {
+    const db = await this.#open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = callback(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
@@ -1,3 +1,8 @@
+import {reportError} from "./errors.js";
+import {DEFAULT_API_BASE_URL} from "./api.js";
+import {assignLegacyWorld} from "./framework.js";
+import WorldAnvilArchiveImporter from "./importer.js";
+
 /**
  * A configuration sheet FormApplication to configure the World Anvil integration
  */
@@ -49,7 +54,7 @@ export default class WorldAnvilConfig extends foundry.applications.api.Handlebar
       stepLabel = "WA.ConfigureStep1";
       stepNumber = 1;
     }
-    else if ( !anvil.worldId ) {
+    else if ( !anvil.worldIds.length ) {
       stepLabel = "WA.ConfigureStep2";
       stepNumber = 2;
     }
@@ -59,14 +64,29 @@ export default class WorldAnvilConfig extends foundry.applications.api.Handlebar
     this.#closeOnSubmit= stepNumber === 3;
 
     // Maybe retrieve a list of world options
-    if ( anvil.user && !anvil.worlds.length ) await anvil.getWorlds();
+    if ( anvil.user && !anvil.worlds.length ) {
+      try {
+        await anvil.getWorlds();
+      } catch(err) {
+        reportError(err, {retry: () => this.render()});
+      }
+    }
+
+    // Articles are imported into the world journal, or into a JournalEntry compendium
+    const importTarget = game.settings.get("world-anvil", "configuration").importTarget ?? "";
+    const importTargets = [{value: "", label: game.i18n.localize("WA.ImportTarget.World")}];
+    for ( const pack of game.packs ) {
+      if ( pack.documentName !== "JournalEntry" ) continue;
+      importTargets.push({value: pack.collection, label: pack.title});
+    }
 
     // Return the template data for rendering
     return {
       stepLabel: stepLabel,
       displayWorldChoices: stepNumber >= 2,
-      worlds: anvil.worlds,
-      worldId: anvil.worldId,
+      worlds: anvil.worlds.map(w => ({id: w.id, name: w.name, linked: anvil.worldIds.includes(w.id)})),
+      importTarget,
+      importTargets,
       authToken: anvil.authToken
     };
   }
@@ -75,8 +95,12 @@ export default class WorldAnvilConfig extends foundry.applications.api.Handlebar
 
   /** @override */
   static async #onSubmit(event, form, formData) {
-    formData.object.authToken = formData.object.authToken.trim();
-    await game.settings.set("world-anvil", "configuration", formData.object);
+    const {authToken, ...configuration} = formData.object;
+    const anvil = game.modules.get("world-anvil").anvil;
+    configuration.worldIds = Array.from(configuration.worldIds ?? anvil.worldIds).filter(id => id);
+    configuration.importTarget ??= game.settings.get("world-anvil", "configuration").importTarget ?? "";
+    await game.settings.set("world-anvil", "authToken", authToken.trim());
+    await game.settings.set("world-anvil", "configuration", configuration);
     if(this.#closeOnSubmit){
       this.close();
     } else {
@@ -86,6 +110,35 @@ export default class WorldAnvilConfig extends foundry.applications.api.Handlebar
 
 	/* -------------------------------------------- */
 
+  /**
+   * Earlier versions stored the user authentication token inside the world-scoped configuration, readable by every client.
+   * Move it to the client-scoped setting of the current GM, and remove it from the world configuration.
+   */
+  static async migrateAuthToken() {
+    const {authToken, ...configuration} = game.settings.get("world-anvil", "configuration");
+    if ( authToken === undefined ) return;
+    if ( authToken && !game.settings.get("world-anvil", "authToken") ) {
+      await game.settings.set("world-anvil", "authToken", authToken);
+    }
+    await game.settings.set("world-anvil", "configuration", configuration);
+  }
+
+	/* -------------------------------------------- */
+
+  /**
+   * Earlier versions could only link a single World, stored as configuration.worldId.
+   * Convert it to the list of linked Worlds, and record it on the folders and entries which were imported from it.
+   */
+  static async migrateLinkedWorlds() {
+    const {worldId, ...configuration} = game.settings.get("world-anvil", "configuration");
+    if ( worldId === undefined ) return;
+    if ( worldId ) await assignLegacyWorld(worldId);
+    configuration.worldIds = worldId ? [worldId] : [];
+    await game.settings.set("world-anvil", "configuration", configuration);
+  }
+
+	/* -------------------------------------------- */
+
   /**
    * Register game settings and menus for managing the World Anvil integration.
    */
@@ -101,7 +154,52 @@ export default class WorldAnvilConfig extends foundry.applications.api.Handlebar
       restricted: true
     });
 
-    // Auth User Key
+    // Import from a World Anvil export archive, which does not require the World Anvil API
+    game.settings.registerMenu("world-anvil", "archive", {
+      name: "WA.Archive.Menu",
+      label: "WA.Archive.Label",
+      hint: "WA.Archive.MenuHint",
+      icon: "fas fa-file-archive",
+      type: WorldAnvilArchiveImporter,
+      restricted: true
+    });
+
+    // Auth User Key, stored on the client so that it is never shared with other connected users
+    game.settings.register("world-anvil", "authToken", {
+      scope: "client",
+      config: false,
+      default: "",
+      type: String,
+      onChange: async authToken => {
+        const anvil = game.modules.get("world-anvil").anvil;
+        try {
+          if ( authToken !== anvil.authToken ) await anvil.connect(authToken);
+        } catch(err) {
+          reportError(err);
+        }
+        const app = Object.values(ui.windows).find(a => a.constructor === WorldAnvilConfig);
+        if ( app ) app.render();
+      }
+    });
+
+    // API base URL. Hidden, only changed to target a local mock server during development
+    game.settings.register("world-anvil", "apiBaseUrl", {
+      scope: "client",
+      config: false,
+      default: DEFAULT_API_BASE_URL,
+      type: String,
+      requiresReload: true
+    });
+
+    // The bulk import in progress, so that it can be resumed after a reload. Hidden
+    game.settings.register("world-anvil", "bulkImportJob", {
+      scope: "client",
+      config: false,
+      default: {},
+      type: Object
+    });
+
+    // Associated Worlds
     game.settings.register("world-anvil", "configuration", {
       scope: "world",
       config: false,
@@ -109,8 +207,12 @@ export default class WorldAnvilConfig extends foundry.applications.api.Handlebar
       type: Object,
       onChange: async c => {
         const anvil = game.modules.get("world-anvil").anvil;
-        if ( c.authToken !== anvil.authToken ) await anvil.connect(c.authToken);
-        if ( c.worldId !== anvil.worldId ) await anvil.getWorld(c.worldId);
+        anvil.linkWorlds(c.worldIds ?? []);
+        try {
+          if ( anvil.worldId ) await anvil.getWorld(anvil.worldId);
+        } catch(err) {
+          reportError(err);
+        }
         const app = Object.values(ui.windows).find(a => a.constructor === WorldAnvilConfig);
         if ( app ) app.render();
       }
@@ -136,6 +238,65 @@ export default class WorldAnvilConfig extends foundry.applications.api.Handlebar
       config: true
     });
 
+    // Whether synced entries follow their article when it changes category
+    //-------------------
+    game.settings.register("world-anvil", "moveEntriesOnSync", {
+      name: "WA.MoveEntriesOnSyncLabel",
+      hint: "WA.MoveEntriesOnSyncHint",
+      scope: "world",
+      type: Boolean,
+      default: true,
+      config: true
+    });
+
+    // How categories nested beyond the Foundry folder depth limit are organized
+    //-------------------
+    game.settings.register("world-anvil", "folderFlattening", {
+      name: "WA.FolderFlatteningLabel",
+      hint: "WA.FolderFlatteningHint",
+      scope: "world",
+      type: String,
+      choices: {
+        path: "WA.FolderFlatteningPath",
+        merge: "WA.FolderFlatteningMerge"
+      },
+      default: "path",
+      config: true
+    });
+
+    // Whether World Anvil images are downloaded into the Foundry user data, and where
+    //-------------------
+    game.settings.register("world-anvil", "downloadImages", {
+      name: "WA.DownloadImagesLabel",
+      hint: "WA.DownloadImagesHint",
+      scope: "world",
+      type: Boolean,
+      default: false,
+      config: true
+    });
+
+    game.settings.register("world-anvil", "imageFolder", {
+      name: "WA.ImageFolderLabel",
+      hint: "WA.ImageFolderHint",
+      scope: "world",
+      type: String,
+      filePicker: "folder",
+      default: `worlds/${game.world.id}/world-anvil`,
+      config: true
+    });
+
+    // Number of imported revisions kept for each entry
+    //-------------------
+    game.settings.register("world-anvil", "revisionCount", {
+      name: "WA.RevisionCountLabel",
+      hint: "WA.RevisionCountHint",
+      scope: "world",
+      type: Number,
+      range: {min: 0, max: 20, step: 1},
+      default: 5,
+      config: true
+    });
+
     // Add the customizable labels for each importable page
     //-------------------
     game.settings.register("world-anvil", "mainArticlePage", {
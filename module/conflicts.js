@@ -0,0 +1,218 @@
+/**
+ * @typedef {Object} PageConflict
+ * @property {string} role            The role of the page, see PAGE_ROLES
+ * @property {string} name            The page name
+ * @property {string} local           The current content of the page in Foundry
+ * @property {string} remote          The content of the page on World Anvil, empty if World Anvil removed it
+ */
+
+/**
+ * @typedef {Object} ConflictResolution
+ * @property {Map<string, string>} choices  The choice made for each page role: "local" or "remote"
+ * @property {boolean} applyToAll           Whether these choices should be reused for the next articles of a bulk sync
+ */
+
+/**
+ * A dialog asking the GM how to resolve the pages of an article which were modified both in Foundry and on World Anvil
+ */
+export default class WorldAnvilConflictDialog extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+  /**
+   * @param {object} options
+   * @param {JournalEntry} options.entry          The synced JournalEntry
+   * @param {PageConflict[]} options.conflicts    The conflicting pages
+   * @param {boolean} [options.bulk=false]        Whether the sync is part of a bulk sync
+   */
+  constructor({entry, conflicts, bulk=false, ...options}) {
+    super(options);
+
+    /**
+     * The synced JournalEntry
+     * @type {JournalEntry}
+     */
+    this.entry = entry;
+
+    /**
+     * The conflicting pages
+     * @type {PageConflict[]}
+     */
+    this.conflicts = conflicts;
+
+    /**
+     * Whether the sync is part of a bulk sync
+     * @type {boolean}
+     */
+    this.bulk = bulk;
+  }
+
+  /**
+   * Resolves the promise returned by WorldAnvilConflictDialog.resolve
+   * @type {function(ConflictResolution)|null}
+   */
+  #resolve = null;
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    classes: ["world-anvil", "wa-conflicts"],
+    tag: "form",
+    position: {
+      width: 720,
+      height: "auto"
+    },
+    window: {
+      contentClasses: ["standard-form"],
+      icon: "fas fa-code-branch"
+    },
+    form: {
+      closeOnSubmit: true,
+      handler: WorldAnvilConflictDialog.#onSubmit
+    },
+    actions: {
+      diff: WorldAnvilConflictDialog.#onToggleDiff
+    }
+  }
+
+  /** @override */
+  static PARTS = {
+    main: {
+      template: "modules/world-anvil/templates/conflicts.hbs"
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  get title() {
+    return game.i18n.format("WA.Conflicts.Title", {name: this.entry.name});
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Ask the GM how to resolve some conflicting pages.
+   * Closing the dialog keeps every local page.
+   * @param {object} options              Options passed to the dialog constructor
+   * @return {Promise<ConflictResolution>}
+   */
+  static resolve(options) {
+    return new Promise(resolve => {
+      const dialog = new this(options);
+      dialog.#resolve = resolve;
+      dialog.render(true);
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _prepareContext(_options) {
+    return {
+      bulk: this.bulk,
+      conflicts: this.conflicts.map(c => ({
+        role: c.role,
+        name: c.name,
+        removed: !c.remote,
+        diff: WorldAnvilConflictDialog.diffLines(c.local, c.remote)
+      }))
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  _onClose(options) {
+    super._onClose(options);
+    this.#settle(new Map(), false);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Resolve the pending promise once, with local content for every page which was not explicitly resolved
+   * @param {Map<string, string>} choices     The submitted choices
+   * @param {boolean} applyToAll              Whether to reuse these choices for the rest of a bulk sync
+   * @private
+   */
+  #settle(choices, applyToAll) {
+    if ( !this.#resolve ) return;
+    for ( const c of this.conflicts ) {
+      if ( !choices.has(c.role) ) choices.set(c.role, "local");
+    }
+    this.#resolve({choices, applyToAll});
+    this.#resolve = null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Handle submission of the conflict choices
+   * @this {WorldAnvilConflictDialog}
+   * @param {SubmitEvent} event
+   * @param {HTMLFormElement} form
+   * @param {FormDataExtended} formData
+   * @private
+   */
+  static async #onSubmit(event, form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+    const choices = new Map(Object.entries(data.choices ?? {}));
+    this.#settle(choices, !!data.applyToAll);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Show or hide the side-by-side diff of a page
+   * @this {WorldAnvilConflictDialog}
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @private
+   */
+  static #onToggleDiff(event, target) {
+    const diff = this.element.querySelector(`.conflict-diff[data-role="${target.dataset.role}"]`);
+    diff.classList.toggle("hidden");
+    this.setPosition({height: "auto"});
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Compare two HTML or BBCode contents line by line, using their longest common subsequence.
+   * Each row contains the local line on the left and the World Anvil line on the right.
+   * @param {string} local                The local content
+   * @param {string} remote               The World Anvil content
+   * @return {{local: string, remote: string, changed: boolean}[]}
+   */
+  static diffLines(local, remote) {
+    const split = html => (html ?? "")
+      .replace(/(<\/(?:p|h\d|li|ul|ol|div|blockquote|table|tr|section)>|<br\s*\/?>)/gi, "$1\n")
+      .split("\n")
+      .map(l => l.trim())
+      .filter(l => l);
+    const a = split(local);
+    const b = split(remote);
+
+    // Length of the longest common subsequence of each pair of suffixes
+    const lcs = Array.from({length: a.length + 1}, () => new Array(b.length + 1).fill(0));
+    for ( let i = a.length - 1; i >= 0; i-- ) {
+      for ( let j = b.length - 1; j >= 0; j-- ) {
+        lcs[i][j] = (a[i] === b[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    // Walk both contents, aligning common lines
+    const rows = [];
+    let i = 0;
+    let j = 0;
+    while ( (i < a.length) || (j < b.length) ) {
+      if ( (i < a.length) && (j < b.length) && (a[i] === b[j]) ) {
+        rows.push({local: a[i++], remote: b[j++], changed: false});
+      }
+      else if ( (j >= b.length) || ((i < a.length) && (lcs[i + 1][j] >= lcs[i][j + 1])) ) {
+        rows.push({local: a[i++], remote: "", changed: true});
+      }
+      else rows.push({local: "", remote: b[j++], changed: true});
+    }
+    return rows;
+  }
+}
@@ -0,0 +1,160 @@
+import {logger} from "./logger.js";
+
+/**
+ * @typedef {Object} ErrorRecovery
+ * @property {string} action          The recovery action: "configure", "refresh" or "retry"
+ * @property {string} label           The localization key of the recovery button
+ */
+
+/**
+ * The base class of every error raised while communicating with World Anvil
+ */
+export class WorldAnvilError extends Error {
+  /**
+   * @param {string} message              A technical description of the failure, for the console
+   * @param {object} [options]
+   * @param {string} [options.endpoint]   The API endpoint which was requested
+   * @param {number} [options.status]     The HTTP status of the response
+   * @param {Error} [options.cause]       The original error
+   */
+  constructor(message, {endpoint, status, cause}={}) {
+    super(message, {cause});
+    this.name = this.constructor.name;
+
+    /**
+     * The API endpoint which was requested
+     * @type {string|undefined}
+     */
+    this.endpoint = endpoint;
+
+    /**
+     * The HTTP status of the response
+     * @type {number|undefined}
+     */
+    this.status = status;
+  }
+
+  /**
+   * The localization key of the notification displayed to the user
+   * @type {string}
+   */
+  static i18nKey = "WA.Errors.Request";
+
+  /**
+   * The action offered to the user for recovering from this failure
+   * @type {ErrorRecovery|null}
+   */
+  static recovery = null;
+
+  /* -------------------------------------------- */
+
+  /**
+   * Create the appropriate error for a failed HTTP response
+   * @param {Response} response     The World Anvil API response
+   * @param {string} endpoint       The API endpoint which was requested
+   * @return {WorldAnvilError}
+   */
+  static fromResponse(response, endpoint) {
+    const cls = {
+      401: WorldAnvilAuthError,
+      403: WorldAnvilPermissionError,
+      404: WorldAnvilNotFoundError,
+      429: WorldAnvilRateLimitError
+    }[response.status] ?? WorldAnvilError;
+    return new cls(`World Anvil API request failed with status ${response.status} for endpoint ${endpoint}`, {
+      endpoint,
+      status: response.status
+    });
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * The authentication token is missing, invalid or expired
+ */
+export class WorldAnvilAuthError extends WorldAnvilError {
+  static i18nKey = "WA.Errors.Auth";
+  static recovery = {action: "configure", label: "WA.Errors.Recovery.ReenterToken"};
+}
+
+/* -------------------------------------------- */
+
+/**
+ * The requested article, or any other entity, does not exist on World Anvil
+ */
+export class WorldAnvilNotFoundError extends WorldAnvilError {
+  static i18nKey = "WA.Errors.NotFound";
+  static recovery = {action: "refresh", label: "WA.Errors.Recovery.Refresh"};
+}
+
+/* -------------------------------------------- */
+
+/**
+ * The World Anvil user is not allowed to access the requested content
+ */
+export class WorldAnvilPermissionError extends WorldAnvilError {
+  static i18nKey = "WA.Errors.Permission";
+  static recovery = {action: "configure", label: "WA.Errors.Recovery.Configure"};
+}
+
+/* -------------------------------------------- */
+
+/**
+ * World Anvil kept rejecting our requests because too many of them were submitted
+ */
+export class WorldAnvilRateLimitError extends WorldAnvilError {
+  static i18nKey = "WA.Errors.RateLimit";
+  static recovery = {action: "retry", label: "WA.Errors.Recovery.Retry"};
+}
+
+/* -------------------------------------------- */
+
+/**
+ * World Anvil answered with something which is not the expected data
+ */
+export class WorldAnvilResponseError extends WorldAnvilError {
+  static i18nKey = "WA.Errors.Response";
+  static recovery = {action: "retry", label: "WA.Errors.Recovery.Retry"};
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Report a failure to the user with a localized notification, and offer the related recovery action.
+ * Cancelled requests are silently ignored.
+ * @param {Error} error                 The error which was raised
+ * @param {object} [options]
+ * @param {function} [options.retry]    A function which retries the failed operation
+ * @return {Promise<void>}
+ */
+export async function reportError(error, {retry}={}) {
+  if ( error?.name === "AbortError" ) return;
+  logger.error(error);
+
+  const cls = (error instanceof WorldAnvilError) ? error.constructor : WorldAnvilError;
+  const message = game.i18n.format(cls.i18nKey, {message: error?.message ?? error});
+  ui.notifications.error(message);
+
+  // Offer a recovery action
+  const recovery = cls.recovery;
+  if ( !recovery || ((recovery.action === "retry") && !retry) ) return;
+  const confirmed = await foundry.applications.api.DialogV2.confirm({
+    window: {title: "WA.Errors.Title"},
+    content: `<p>${message}</p>`,
+    yes: {label: game.i18n.localize(recovery.label), icon: "fas fa-check"},
+    no: {label: game.i18n.localize("WA.Errors.Recovery.Dismiss"), icon: "fas fa-times"}
+  });
+  if ( !confirmed ) return;
+
+  const module = game.modules.get("world-anvil");
+  switch ( recovery.action ) {
+    case "configure":
+      return module.config.render(true);
+    case "refresh":
+      if ( module.browser.rendered ) return module.browser._refreshAll();
+      return;
+    case "retry":
+      return retry();
+  }
+}
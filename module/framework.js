@@ -1,3 +1,8 @@
+import {reportError} from "./errors.js";
+import {logger} from "./logger.js";
+import WorldAnvilConflictDialog from "./conflicts.js";
+import {htmlToBBCode, isSafeURL} from "./bbcode.js";
+
 /* -------------------------------------------- */
 /*   Configuration Variables                    */
 /* -------------------------------------------- */
@@ -32,6 +37,35 @@ export const ARTICLE_CSS_CLASSES = {
   SECRET_SECTION: 'secret'
 };
 
+/**
+ * The roles of the pages generated from an article, in their display order.
+ * Each role is also the key of the configurable page name in WorldAnvilPageNames.
+ * Pages are matched by their role when an article is synced again, so that they keep their id.
+ * @type {{html: string[], images: string[]}}
+ */
+const PAGE_ROLES = {
+  html: ["mainArticle", "sideContent", "relationships", "secrets", "timeline"],
+  images: ["cover", "portrait", "organizationFlag"]
+};
+
+/**
+ * Folder creations which are in progress, by World and category ID, so that parallel imports share them
+ * @type {Map<string, Promise<Folder>>}
+ */
+const pendingFolders = new Map();
+
+/**
+ * Conflict resolutions are asked one at a time, even when articles are imported in parallel
+ * @type {Promise<void>}
+ */
+let conflictQueue = Promise.resolve();
+
+/**
+ * Local edits made within this delay after an import are considered to be part of the import itself
+ * @type {number}
+ */
+const SYNC_TOLERANCE = 5000;
+
 /* -------------------------------------------- */
 /*   Type Definitions                           */
 /* -------------------------------------------- */
@@ -39,11 +73,13 @@ export const ARTICLE_CSS_CLASSES = {
 /**
  * @typedef {Object} Category
  * @property {string} id              The category ID
+ * @property {string} worldId         The World to which the category belongs
  * @property {string} title           The category title
  * @property {number} position        The category position in sort order
  * @property {Category[]} [children]  An array of child Category objects
  * @property {Category} [parent]      A parent category to which this category belongs
  * @property {Folder} [folder]        A folder document which contains journal entries in this category
+ * @property {string[]} [sortedArticleIds]  The IDs of the articles of this category, in order, see sortArticles
  */
 
 /**
@@ -133,25 +169,36 @@ export const ARTICLE_CSS_CLASSES = {
 /* -------------------------------------------- */
 
 /**
- * A cached mapping of Categories which appear in this World
- * @type {CategoryMap}
+ * A cached mapping of Categories which appear in each linked World, by World ID
+ * @type {Map<string, CategoryMap>}
  */
 export const cachedCategories = new Map();
 
 /**
- * A cached mapping of Timelines which appear in this World
- * @type {TimelineMap}
+ * A cached mapping of Timelines which appear in each linked World, by World ID
+ * @type {Map<string, TimelineMap>}
  */
 const cachedTimelines = new Map();
 
 /**
- * A cached mapping of History referenced by their related article id.
+ * A cached mapping of History referenced by their related article id, by World ID.
  * Only those having a related article id are referenced here.
  * Same lifecycle as cachedTimelines
- * @type {HistoryMap}
+ * @type {Map<string, HistoryMap>}
  */
 const cachedHistories = new Map();
 
+/**
+ * Get the cached mapping of a World, creating it if needed
+ * @param {Map<string, Map>} cache    One of the cached mappings above
+ * @param {string} worldId            The World ID
+ * @returns {Map}
+ */
+function _worldCache(cache, worldId) {
+  if ( !cache.has(worldId) ) cache.set(worldId, new Map());
+  return cache.get(worldId);
+}
+
 const templates = {}
 
 /**
@@ -161,6 +208,154 @@ export const loadTimelineTemplateInMemory = async () => {
   templates.timelineContent = await foundry.applications.handlebars.getTemplate('modules/world-anvil/templates/timeline.hbs');
 }
 
+/* -------------------------------------------- */
+/*  Import Target                               */
+/* -------------------------------------------- */
+
+/**
+ * The compendium packs whose index already includes the World Anvil flags
+ * @type {Set<string>}
+ */
+const indexedPacks = new Set();
+
+/**
+ * The fields of the compendium index which describe imported entries, see getImportedEntries
+ * @type {string[]}
+ */
+const IMPORT_INDEX_FIELDS = ["flags.world-anvil", "ownership", "sort", "folder"];
+
+/**
+ * Get the JournalEntry compendium in which articles are imported, when one is configured instead of the world journal
+ * @returns {CompendiumCollection|null}       The compendium pack, or null to import into the world journal
+ */
+export function getImportPack() {
+  const packId = game.settings.get("world-anvil", "configuration").importTarget;
+  if ( !packId ) return null;
+  const pack = game.packs.get(packId);
+  if ( pack?.documentName !== "JournalEntry" ) {
+    throw new Error(game.i18n.format("WA.ImportTarget.Missing", {pack: packId}));
+  }
+  return pack;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * The options targeting the import compendium in document operations, if one is configured
+ * @returns {{pack: string}|{}}
+ */
+export function getImportOptions() {
+  const pack = getImportPack();
+  return pack ? {pack: pack.collection} : {};
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Get the JournalEntry folders of the import target
+ * @returns {Folder[]}
+ */
+export function getImportFolders() {
+  const pack = getImportPack();
+  if ( pack ) return pack.folders.contents;
+  return game.folders.filter(f => f.type === "JournalEntry");
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Get every imported entry of the import target.
+ * Entries of a compendium are not loaded: unless they already are, they are described by their index entry,
+ * which provides the id, uuid, name, folder, sort, ownership and flags of the entry, and its getFlag method.
+ * @returns {Promise<(JournalEntry|ImportedEntryIndex)[]>}
+ */
+export async function getImportedEntries() {
+  const pack = getImportPack();
+  if ( !pack ) return game.journal.filter(e => e.flags["world-anvil"]);
+  const index = await _getImportIndex(pack);
+  return index.filter(i => i.flags?.["world-anvil"]).map(i => pack.get(i._id) ?? _toImportedEntryIndex(pack, i));
+}
+
+/* -------------------------------------------- */
+
+/**
+ * @typedef {Object} ImportedEntryIndex
+ * @property {string} id                    The entry ID
+ * @property {string} uuid                  The entry UUID
+ * @property {string} name                  The entry name
+ * @property {Folder|null} folder           The compendium folder of the entry
+ * @property {number} sort                  The entry sort value
+ * @property {object} ownership             The entry ownership
+ * @property {object} flags                 The entry flags
+ * @property {function(string, string): *} getFlag  Get a flag of the entry, like ClientDocument#getFlag
+ */
+
+/**
+ * Describe a compendium entry which is not loaded by its index entry
+ * @param {CompendiumCollection} pack       The import compendium
+ * @param {object} index                    The index entry
+ * @returns {ImportedEntryIndex}
+ * @private
+ */
+function _toImportedEntryIndex(pack, index) {
+  return {
+    id: index._id,
+    uuid: index.uuid ?? `Compendium.${pack.collection}.JournalEntry.${index._id}`,
+    name: index.name,
+    folder: pack.folders.get(index.folder) ?? null,
+    sort: index.sort ?? 0,
+    ownership: index.ownership ?? {},
+    flags: index.flags,
+    getFlag: (scope, key) => foundry.utils.getProperty(index.flags?.[scope] ?? {}, key)
+  };
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Get the index of the import compendium, including the World Anvil flags of its entries
+ * @param {CompendiumCollection} pack       The import compendium
+ * @returns {Promise<Collection>}
+ * @private
+ */
+async function _getImportIndex(pack) {
+
+  // The index is kept up to date by Foundry once it includes these fields
+  if ( !indexedPacks.has(pack.collection) ) {
+    await pack.getIndex({fields: IMPORT_INDEX_FIELDS});
+    indexedPacks.add(pack.collection);
+  }
+  return pack.index;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Find the entry imported from an article in the import target.
+ * Entries of a compendium are looked up in its index, and only the matching entry is loaded.
+ * @param {string} articleId                The World Anvil article ID
+ * @returns {Promise<JournalEntry|undefined>}
+ */
+export async function findImportedEntry(articleId) {
+  const pack = getImportPack();
+  if ( !pack ) return game.journal.find(e => e.getFlag("world-anvil", "articleId") === articleId);
+
+  const index = await _getImportIndex(pack);
+  const match = index.find(i => i.flags?.["world-anvil"]?.articleId === articleId);
+  return match ? pack.getDocument(match._id) : undefined;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Ensure that articles may be imported into the import target
+ * @throws {Error}                          If the import compendium is locked
+ */
+function _assertImportTargetWritable() {
+  const pack = getImportPack();
+  if ( pack?.locked ) throw new Error(game.i18n.format("WA.ImportTarget.Locked", {pack: pack.title}));
+}
+
 /* -------------------------------------------- */
 /*  Article Management                          */
 /* -------------------------------------------- */
@@ -169,31 +364,75 @@ export const loadTimelineTemplateInMemory = async () => {
  * Import a single World Anvil article
  * @param {string} articleId            The World Anvil article ID to import
  * @param {boolean} [notify]            Whether to create a UI notification when the import has completed
+ * @param {boolean} [cache=false]       Reuse the cached article if World Anvil reports it unchanged
+ * @param {string} [worldId]            The World of the article, if World Anvil does not report it. Defaults to the active World
+ * @param {ConflictResolution} [conflicts]  Choices shared by the articles of a bulk sync, for pages modified locally
+ * @param {AbortSignal} [signal]        A signal which aborts the import, before the journal entry is written
  * @param {object} [options={}]         Additional options for journal entry import
- * @return {Promise<JournalEntry>}
+ * @return {Promise<JournalEntry|null>}   The imported entry, or null if the import failed and was reported
  */
-export async function importArticle(articleId, {notify=true, options={}}={}) {
+export async function importArticle(articleId, {notify=true, cache=false, worldId, conflicts, signal, options={}}={}) {
   const anvil = game.modules.get("world-anvil").anvil;
 
-  // Reference Category structure
-  const {categories} = await getCategories({cache: true});
+  try {
+    _assertImportTargetWritable();
+
+    // Get the Article data from the API
+    const article = await anvil.getArticle(articleId, {cache, signal});
+    article.worldId = article.world?.id ?? worldId ?? anvil.worldId;
+
+    // Reference Category structure of the article World
+    const {categories} = await getCategories({cache: true, worldId: article.worldId});
+    await _ensureArticleOrder(categories, {worldId: article.worldId});
+    if( article.category ) {
+      article.category = categories.get(article.category.id);
+    } else {
+      article.category = categories.get(CATEGORY_ID.uncategorized);
+    }
+
+    // Format Article content
+    const pages = await getArticleContent(article, {signal});
+
+    // Update an existing JournalEntry, or create a new one
+    signal?.throwIfAborted();
+    let entry = await findImportedEntry(articleId);
+    if ( entry ) return await _updateExistingEntry(entry, article, pages, notify, options, conflicts);
+    return await _createNewEntry(article, pages, notify, options);
+  }
 
-  // Get the Article data from the API
-  const article = await anvil.getArticle(articleId);
-  if( article.category ) {
-    article.category = categories.get(article.category.id);
-  } else {
-    article.category = categories.get(CATEGORY_ID.uncategorized);
+  // Failures are reported to the user, unless the caller handles them (bulk imports)
+  catch(err) {
+    if ( !notify ) throw err;
+    reportError(err, {retry: () => importArticle(articleId, {notify, cache, worldId, conflicts, options})});
+    return null;
   }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Import a single article from a World Anvil export archive, without the World Anvil API.
+ * The article is imported or synced like a live article, and may be synced with World Anvil later on.
+ * @param {WorldAnvilArchive} archive   The export archive
+ * @param {string} articleId            The World Anvil article ID to import
+ * @param {CategoryMap} categories      The categories of the archive, see getCategories
+ * @param {ConflictResolution} [conflicts]  Choices shared by the articles of the archive, for pages modified locally
+ * @return {Promise<JournalEntry>}      The imported entry
+ */
+export async function importArchiveArticle(archive, articleId, {categories, conflicts}={}) {
+  _assertImportTargetWritable();
+  const article = await archive.getArticle(articleId);
+  article.worldId = archive.world.id;
+  await _ensureArticleOrder(categories, {archive});
+  article.category = categories.get(article.category?.id) ?? categories.get(CATEGORY_ID.uncategorized);
 
   // Format Article content
-  const pages = await getArticleContent(article);
+  const pages = await getArticleContent(article, {archive});
 
   // Update an existing JournalEntry, or create a new one
-  let entry = game.journal.find(e => e.getFlag("world-anvil", "articleId") === articleId);
-  if ( entry ) return _updateExistingEntry(entry, article, pages, notify, options);
-  return _createNewEntry(article, pages, notify, options)
-
+  const entry = await findImportedEntry(articleId);
+  if ( entry ) return _updateExistingEntry(entry, article, pages, false, {}, conflicts);
+  return _createNewEntry(article, pages, false, {});
 }
 
 /* -------------------------------------------- */
@@ -205,10 +444,11 @@ export async function importArticle(articleId, {notify=true, options={}}={}) {
  * @param {ParsedArticleResult} content     The parsed article content
  * @param {boolean} notify                  Whether to create a UI notification when the import has completed
  * @param {DocumentModificationContext} options Entry update options
+ * @param {ConflictResolution} [conflicts]  Choices shared by the articles of a bulk sync
  * @returns {Promise<JournalEntry>}         The updated entry
  * @private
  */
-async function _updateExistingEntry(entry, article, content, notify, options) {
+async function _updateExistingEntry(entry, article, content, notify, options, conflicts) {
   /**
    * A hook event that fires when the user is updating an existing JournalEntry from a WorldAnvil article.
    * @function WAUpdateJournalEntry
@@ -219,12 +459,34 @@ async function _updateExistingEntry(entry, article, content, notify, options) {
    */
   Hooks.callAll(`WAUpdateJournalEntry`, entry, content);
 
-  // Update the entry
-  await entry.update({
+  // Pages modified both locally and on World Anvil are resolved by the GM
+  const waPages = _getWorldAnvilPages(entry);
+  const pagesData = _parsedArticleContentToJournalPages(content);
+  const keepLocal = await _resolveConflicts(entry, waPages, pagesData, conflicts);
+
+  // Update the entry, keeping the previous content as a revision unless the article did not change
+  const unchanged = _isArticleUnchanged(entry, article, waPages, pagesData);
+  const revisions = unchanged ? (entry.getFlag("world-anvil", "revisions") ?? []) : _addRevision(entry);
+  const pinnedLocation = entry.getFlag("world-anvil", "pinnedLocation") ?? false;
+  const entryData = {
     name: article.title,
-    pages: _parsedArticleContentToJournalPages(content),
-    "flags.world-anvil": content.waFlags
-  }, {recursive: false, diff: false});
+    "flags.world-anvil": {...content.waFlags, revisions, pinnedLocation}
+  };
+
+  // Follow the article if it was moved to another category or reordered on World Anvil
+  if ( !pinnedLocation ) {
+    if ( game.settings.get("world-anvil", "moveEntriesOnSync") ) {
+      const folder = await getCategoryFolder(article.category);
+      if ( folder && (folder.id !== entry.folder?.id) ) entryData.folder = folder.id;
+    }
+    const sort = getArticleSort(article, article.category);
+    if ( sort !== entry.sort ) entryData.sort = sort;
+  }
+  await entry.update(entryData, {recursive: false, diff: false, worldAnvil: true});
+
+  // Update World Anvil pages in place, leaving other pages untouched
+  for ( const role of keepLocal ) waPages.delete(role);
+  await _applyWorldAnvilPages(entry, waPages, pagesData.filter(p => !keepLocal.has(p.flags["world-anvil"].pageRole)));
 
   // Notify and return
   if ( notify ) ui.notifications.info(`Refreshed World Anvil article ${article.title}`);
@@ -253,6 +515,7 @@ async function _createNewEntry(article, content, notify, options) {
     name: article.title,
     pages: _parsedArticleContentToJournalPages(content),
     folder: folder.id,
+    sort: getArticleSort(article, article.category),
     "flags.world-anvil": content.waFlags
   }
 
@@ -267,7 +530,8 @@ async function _createNewEntry(article, content, notify, options) {
   Hooks.callAll(`WACreateJournalEntry`, entryData, article, content);
 
   // Create the entry, notify, and return
-  const entry = await JournalEntry.create(entryData, options);
+  const entry = await JournalEntry.create(entryData, {...options, ...getImportOptions()});
+  if ( entry ) await _recordContentHashes(entry, entry.pages.contents);
   if ( notify ) ui.notifications.info(`Imported World Anvil article ${article.title}`);
   return entry;
 }
@@ -276,6 +540,7 @@ async function _createNewEntry(article, content, notify, options) {
 
 /**
  * Transform a ParsedArticleResult to a pages array which can be used for creating/updating journal entries
+ * Each page is flagged with its role, see PAGE_ROLES.
  * @param {ParsedArticleResult} content Article content previously parsed
  * @returns
  */
@@ -285,10 +550,11 @@ async function _createNewEntry(article, content, notify, options) {
   const pageNames = game.modules.get("world-anvil").pageNames;
 
   // Add Html Pages (Order is important)
-  [pageNames.mainArticle, pageNames.sideContent, pageNames.relationships, pageNames.secrets, pageNames.timeline]
-    .filter( header => {
-      return !!content.html[header];
-  }).forEach( header => {
+  PAGE_ROLES.html
+    .filter( role => {
+      return !!content.html[pageNames[role]];
+  }).forEach( role => {
+    const header = pageNames[role];
     const pageContent = content.html[header];
     pages.push({
       name: header,
@@ -297,21 +563,24 @@ async function _createNewEntry(article, content, notify, options) {
         format: CONST.JOURNAL_ENTRY_PAGE_FORMATS.HTML,
         content: pageContent
       },
-      sort: pages.length
+      sort: pages.length,
+      flags: {"world-anvil": {pageRole: role, contentHash: _hashContent(pageContent)}}
     });
   });
 
   // Add image pages (Order is also important)
-  [pageNames.cover, pageNames.portrait, pageNames.organizationFlag]
-    .filter( header => {
-      return !!content.images[header];
-  }).forEach( header => {
+  PAGE_ROLES.images
+    .filter( role => {
+      return !!content.images[pageNames[role]];
+  }).forEach( role => {
+    const header = pageNames[role];
     const imageUrl = content.images[header];
     pages.push({
       name: header,
       type: "image",
       src: imageUrl,
-      sort: pages.length
+      sort: pages.length,
+      flags: {"world-anvil": {pageRole: role, contentHash: _hashContent(imageUrl)}}
     });
   });
 
@@ -322,18 +591,436 @@ async function _createNewEntry(article, content, notify, options) {
 
 /* -------------------------------------------- */
 
+/**
+ * Push the main page of an imported entry back to its World Anvil article.
+ * The page HTML is converted to BBCode, and the GM confirms the changes after comparing them with the current
+ * article content. The push is refused if the article was updated on World Anvil since its last import.
+ * @param {JournalEntry} entry              The imported JournalEntry
+ * @returns {Promise<boolean>}              Whether the article was updated
+ */
+export async function pushArticle(entry) {
+  const anvil = game.modules.get("world-anvil").anvil;
+  const articleId = entry.getFlag("world-anvil", "articleId");
+  const page = _getWorldAnvilPages(entry).get("mainArticle");
+  if ( !page ) {
+    ui.notifications.warn(game.i18n.localize("WA.Push.NoMainPage"));
+    return false;
+  }
+
+  // Never overwrite changes made on World Anvil since the last import
+  const article = await anvil.getArticle(articleId, {cache: false});
+  if ( article.updateDate !== entry.getFlag("world-anvil", "updateDate") ) {
+    ui.notifications.error(game.i18n.format("WA.Push.Outdated", {title: article.title}));
+    return false;
+  }
+
+  // Compare the current and the pushed content
+  const content = htmlToBBCode(page.text.content);
+  const current = article.content ?? "";
+  if ( content === current.trim() ) {
+    ui.notifications.info(game.i18n.localize("WA.Push.Unchanged"));
+    return false;
+  }
+  const diff = WorldAnvilConflictDialog.diffLines(current, content);
+  const confirmed = await foundry.applications.api.DialogV2.confirm({
+    window: {title: game.i18n.format("WA.Push.Title", {title: article.title})},
+    position: {width: 720},
+    content: await foundry.applications.handlebars.renderTemplate("modules/world-anvil/templates/push.hbs", {diff})
+  });
+  if ( !confirmed ) return false;
+
+  // Update the article, then record its new update date so that it is not considered as changed or edited
+  await anvil.updateArticle(articleId, {content});
+  const updated = await anvil.getArticle(articleId, {cache: false});
+  await entry.update({
+    "flags.world-anvil.updateDate": updated.updateDate,
+    "flags.world-anvil.syncedAt": game.time.serverTime
+  });
+  await entry.updateEmbeddedDocuments("JournalEntryPage", [{
+    _id: page.id,
+    "flags.world-anvil.contentHash": _hashContent(_pageContent(page))
+  }]);
+  ui.notifications.info(game.i18n.format("WA.Push.Completed", {title: article.title}));
+  return true;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Create a World Anvil article from the text pages of a JournalEntry which was not imported from World Anvil,
+ * then link the entry with the new article so that it can be synced and pushed like imported entries.
+ * The text pages become the main article page: an entry with several text pages is published with a heading
+ * for each page, and its pages are merged into one, as they would be synced back from World Anvil.
+ * The entry is linked as soon as the article is created, so that a later failure does not publish it twice.
+ * @param {JournalEntry} entry              The JournalEntry to publish
+ * @param {object} options
+ * @param {string} options.categoryId       The World Anvil category of the article, or an empty string for none
+ * @param {string} options.templateType     The World Anvil template of the article, such as "person"
+ * @param {string} [options.worldId]        The World in which the article is created. Defaults to the active World
+ * @returns {Promise<object|null>}          The created article, or null if the entry has no text page
+ */
+export async function publishEntry(entry, {categoryId, templateType, worldId}) {
+  const anvil = game.modules.get("world-anvil").anvil;
+  worldId = worldId ?? anvil.worldId;
+  const pages = entry.pages.contents
+    .filter(p => p.type === "text")
+    .sort((a, b) => a.sort - b.sort);
+  if ( !pages.length ) {
+    ui.notifications.warn(game.i18n.format("WA.Publish.NoTextPage", {name: entry.name}));
+    return null;
+  }
+
+  // Convert the text pages to BBCode
+  let html;
+  if ( pages.length === 1 ) html = pages[0].text.content ?? "";
+  else html = pages.map(p => `<h2>${foundry.utils.escapeHTML(p.name)}</h2>${p.text.content ?? ""}`).join("");
+  const content = htmlToBBCode(html);
+
+  // Create the article
+  const articleData = {title: entry.name, content, templateType, world: {id: worldId}};
+  if ( categoryId ) articleData.category = {id: categoryId};
+  const {id} = await anvil.createArticle(articleData);
+
+  // Link the entry with the article, and keep a single main article page which sync replaces
+  await entry.update({"flags.world-anvil": {articleId: id, worldId, syncedAt: game.time.serverTime}});
+  const [main, ...merged] = pages;
+  const mainData = {_id: main.id, "flags.world-anvil": {pageRole: "mainArticle", contentHash: _hashContent(html)}};
+  if ( merged.length ) {
+    const pageNames = game.modules.get("world-anvil").pageNames;
+    Object.assign(mainData, {name: pageNames.mainArticle, "text.content": html});
+  }
+  await entry.updateEmbeddedDocuments("JournalEntryPage", [mainData]);
+  if ( merged.length ) await entry.deleteEmbeddedDocuments("JournalEntryPage", merged.map(p => p.id));
+
+  // Record the article URL and update date
+  const article = await anvil.getArticle(id, {cache: false});
+  await entry.update({
+    "flags.world-anvil": {
+      articleURL: isSafeURL(article.url) ? article.url : null,
+      updateDate: article.updateDate,
+      syncedAt: game.time.serverTime
+    }
+  });
+  ui.notifications.info(game.i18n.format("WA.Publish.Completed", {title: article.title}));
+  return article;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Replace the World Anvil pages of an entry by new page data, matching pages by role so that they keep their id.
+ * Pages which have no matching data are deleted.
+ * @param {JournalEntry} entry              The imported JournalEntry
+ * @param {Map<string, JournalEntryPage>} waPages The World Anvil pages to replace, by role
+ * @param {object[]} pagesData              The new page data
+ * @returns {Promise<void>}
+ * @private
+ */
+async function _applyWorldAnvilPages(entry, waPages, pagesData) {
+  const toCreate = [];
+  const toUpdate = [];
+  const remaining = new Map(waPages);
+  for ( const pageData of pagesData ) {
+    const role = pageData.flags["world-anvil"].pageRole;
+    const page = remaining.get(role);
+    remaining.delete(role);
+    if ( page ) toUpdate.push({_id: page.id, ...pageData});
+    else toCreate.push(pageData);
+  }
+  const toDelete = Array.from(remaining.values()).map(p => p.id);
+  if ( toDelete.length ) await entry.deleteEmbeddedDocuments("JournalEntryPage", toDelete);
+  const updated = toUpdate.length ? await entry.updateEmbeddedDocuments("JournalEntryPage", toUpdate) : [];
+  const created = toCreate.length ? await entry.createEmbeddedDocuments("JournalEntryPage", toCreate) : [];
+  await _recordContentHashes(entry, [...updated, ...created]);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * @typedef {Object} ArticleRevision
+ * @property {number|null} syncedAt         The server time at which this content was imported
+ * @property {string|null} updateDate       The World Anvil updateDate of the imported article
+ * @property {string} name                  The entry name
+ * @property {object[]} pages               The data of the World Anvil pages
+ */
+
+/**
+ * Take a snapshot of the current World Anvil content of an entry, and prepend it to its stored revisions.
+ * Only the last revisions are kept, as configured by the revisionCount setting.
+ * @param {JournalEntry} entry              The imported JournalEntry
+ * @param {ArticleRevision[]} [revisions]   The previous revisions, defaults to the ones stored on the entry
+ * @returns {ArticleRevision[]}             The revisions which should be stored on the entry
+ * @private
+ */
+function _addRevision(entry, revisions=entry.getFlag("world-anvil", "revisions") ?? []) {
+  const count = game.settings.get("world-anvil", "revisionCount");
+  const pages = Array.from(_getWorldAnvilPages(entry)).map(([role, page]) => {
+    const content = _pageContent(page);
+    const data = {name: page.name, type: page.type, sort: page.sort};
+    if ( page.type === "image" ) data.src = content;
+    else data.text = {format: page.text.format, content};
+    data.flags = {"world-anvil": {pageRole: role, contentHash: _hashContent(content)}};
+    return data;
+  });
+  if ( !pages.length ) return revisions.slice(0, count);
+  const revision = {
+    syncedAt: entry.getFlag("world-anvil", "syncedAt") ?? null,
+    updateDate: entry.getFlag("world-anvil", "updateDate") ?? null,
+    name: entry.name,
+    pages
+  };
+  return [revision, ...revisions].slice(0, count);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Check whether syncing an entry would leave it as it is: the article was not updated on World Anvil since the
+ * last sync, and each World Anvil page already has the content generated from the article.
+ * @param {JournalEntry} entry                    The synced JournalEntry
+ * @param {Article} article                       The synced Article
+ * @param {Map<string, JournalEntryPage>} waPages The current World Anvil pages, by role
+ * @param {object[]} pagesData                    The page data generated from the article
+ * @returns {boolean}
+ * @private
+ */
+function _isArticleUnchanged(entry, article, waPages, pagesData) {
+  if ( article.updateDate !== entry.getFlag("world-anvil", "updateDate") ) return false;
+  if ( waPages.size !== pagesData.length ) return false;
+  return pagesData.every(data => {
+    const page = waPages.get(data.flags["world-anvil"].pageRole);
+    return !!page && (page.name === data.name) && (_pageContent(page) === _pageContent(data));
+  });
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Restore a previously imported revision of an entry.
+ * The current content is kept as the latest revision, so that the restoration can be undone.
+ * @param {JournalEntry} entry              The imported JournalEntry
+ * @param {number} index                    The index of the revision in the stored revisions, the latest first
+ * @returns {Promise<JournalEntry>}         The restored entry
+ */
+export async function restoreRevision(entry, index) {
+  const revisions = entry.getFlag("world-anvil", "revisions") ?? [];
+  const revision = revisions[index];
+  if ( !revision ) throw new Error(`Revision ${index} does not exist for JournalEntry ${entry.id}`);
+  const waPages = _getWorldAnvilPages(entry);
+
+  // The restored revision is replaced by the current content
+  const remaining = revisions.filter((r, i) => i !== index);
+  const updated = _addRevision(entry, remaining);
+  await entry.update({
+    name: revision.name,
+    "flags.world-anvil.revisions": updated,
+    "flags.world-anvil.updateDate": revision.updateDate,
+    "flags.world-anvil.syncedAt": game.time.serverTime
+  });
+  await _applyWorldAnvilPages(entry, waPages, revision.pages);
+  return entry;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Get the pages of an imported JournalEntry which were generated from its article, by role.
+ * Pages imported before roles were recorded are recognized by their name.
+ * @param {JournalEntry} entry              The imported JournalEntry
+ * @returns {Map<string, JournalEntryPage>}
+ * @private
+ */
+function _getWorldAnvilPages(entry) {
+  const pageNames = game.modules.get("world-anvil").pageNames;
+  const roles = [...PAGE_ROLES.html, ...PAGE_ROLES.images];
+  const pages = new Map();
+  for ( const page of entry.pages ) {
+    const role = page.getFlag("world-anvil", "pageRole");
+    if ( role ) pages.set(role, page);
+  }
+  if ( !pages.size ) {
+    for ( const role of roles ) {
+      const page = entry.pages.find(p => p.name === pageNames[role]);
+      if ( page ) pages.set(role, page);
+    }
+  }
+  return pages;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Get the content of a page, or of page data, which is compared during syncs
+ * @param {JournalEntryPage|object} page    A page, or the data of a page
+ * @returns {string}                        The HTML content of a text page, or the source of an image page
+ * @private
+ */
+function _pageContent(page) {
+  return ((page.type === "image") ? page.src : page.text?.content) ?? "";
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Compute a fast, non cryptographic, hash of a page content
+ * @param {string} content                  The page content
+ * @returns {string}                        An hexadecimal hash
+ * @private
+ */
+function _hashContent(content) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for ( let i = 0; i < content.length; i++ ) {
+    const c = content.charCodeAt(i);
+    h1 = Math.imul(h1 ^ c, 2654435761);
+    h2 = Math.imul(h2 ^ c, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Check whether a World Anvil page was edited in Foundry since its last import.
+ * Pages imported before content hashes were recorded are never considered as edited.
+ * @param {JournalEntryPage} page           A page generated from an article
+ * @returns {boolean}
+ * @private
+ */
+function _isPageEdited(page) {
+  const hash = page.getFlag("world-anvil", "contentHash");
+  return !!hash && (hash !== _hashContent(_pageContent(page)));
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Store the hash of the imported content on each page, as saved by Foundry.
+ * The hash prepared with the page data is only replaced if Foundry altered the content while saving it.
+ * @param {JournalEntry} entry              The imported JournalEntry
+ * @param {JournalEntryPage[]} pages        The pages which were just imported
+ * @returns {Promise<void>}
+ * @private
+ */
+async function _recordContentHashes(entry, pages) {
+  const updates = [];
+  for ( const page of pages ) {
+    const hash = _hashContent(_pageContent(page));
+    if ( page.getFlag("world-anvil", "contentHash") !== hash ) {
+      updates.push({_id: page.id, "flags.world-anvil.contentHash": hash});
+    }
+  }
+  if ( updates.length ) await entry.updateEmbeddedDocuments("JournalEntryPage", updates);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Find the World Anvil pages which were edited in Foundry and whose content differs on World Anvil,
+ * and ask the GM which version to keep. Choices may be reused for the next articles of a bulk sync.
+ * @param {JournalEntry} entry                    The synced JournalEntry
+ * @param {Map<string, JournalEntryPage>} waPages The current World Anvil pages, by role
+ * @param {object[]} pagesData                    The page data generated from the article
+ * @param {ConflictResolution} [conflicts]        Choices shared by the articles of a bulk sync
+ * @returns {Promise<Set<string>>}                The roles of the pages whose local content should be kept
+ * @private
+ */
+async function _resolveConflicts(entry, waPages, pagesData, conflicts) {
+  const found = [];
+  for ( const [role, page] of waPages ) {
+    if ( !_isPageEdited(page) ) continue;
+    const pageData = pagesData.find(p => p.flags["world-anvil"].pageRole === role);
+    const local = _pageContent(page);
+    const remote = pageData ? _pageContent(pageData) : "";
+    if ( local !== remote ) found.push({role, name: page.name, local, remote});
+  }
+  if ( !found.length ) return new Set();
+
+  // Wait for the other conflict dialogs of a bulk sync, whose choices may apply to this article
+  const previous = conflictQueue;
+  let release;
+  conflictQueue = new Promise(resolve => release = resolve);
+  await previous;
+  try {
+    return await _askConflicts(entry, found, conflicts);
+  } finally {
+    release();
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Ask the GM which version to keep for each conflicting page, unless the choice was already made during a bulk sync
+ * @param {JournalEntry} entry                    The synced JournalEntry
+ * @param {PageConflict[]} found                  The conflicting pages
+ * @param {ConflictResolution} [conflicts]        Choices shared by the articles of a bulk sync
+ * @returns {Promise<Set<string>>}                The roles of the pages whose local content should be kept
+ * @private
+ */
+async function _askConflicts(entry, found, conflicts) {
+  const choices = new Map();
+  const pending = found.filter(c => {
+    const choice = conflicts?.applyToAll ? conflicts.choices.get(c.role) : undefined;
+    if ( choice ) choices.set(c.role, choice);
+    return !choice;
+  });
+  if ( pending.length ) {
+    const resolution = await WorldAnvilConflictDialog.resolve({entry, conflicts: pending, bulk: !!conflicts});
+    for ( const [role, choice] of resolution.choices ) choices.set(role, choice);
+    if ( conflicts && resolution.applyToAll ) {
+      conflicts.applyToAll = true;
+      for ( const [role, choice] of resolution.choices ) conflicts.choices.set(role, choice);
+    }
+  }
+  return new Set(found.filter(c => choices.get(c.role) === "local").map(c => c.role));
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Check whether the World Anvil pages of an imported JournalEntry were modified in Foundry since its last import.
+ * Pages are compared with the hash of their imported content when it is known, or with the sync timestamp.
+ * Updates of the entry itself, such as ownership changes or folder moves, and pages added by the GM
+ * do not count as modifications.
+ * Entries imported before sync timestamps were recorded are never considered as modified, and neither are
+ * compendium entries which are not loaded, since their pages are not indexed.
+ * @param {JournalEntry|ImportedEntryIndex} entry   The imported JournalEntry, or its index entry
+ * @returns {boolean}
+ */
+export function isEntryModifiedLocally(entry) {
+  const syncedAt = entry.getFlag("world-anvil", "syncedAt");
+  if ( !syncedAt || !(entry instanceof JournalEntry) ) return false;
+  const pages = Array.from(_getWorldAnvilPages(entry).values());
+  return pages.some(p => {
+    if ( p.getFlag("world-anvil", "contentHash") ) return _isPageEdited(p);
+    return (p._stats.modifiedTime ?? 0) > syncedAt + SYNC_TOLERANCE;
+  });
+}
+
+/* -------------------------------------------- */
+
 /**
  * Transform a World Anvil article HTML into a Journal Entry content and featured image.
  * @param {object} article
+ * @param {object} [options]
+ * @param {WorldAnvilArchive} [options.archive] The export archive of the article, which parses its content offline.
+ *                                             Timelines are not part of archives.
+ * @param {AbortSignal} [options.signal]        A signal which aborts the requests made to World Anvil
  * @return {Promise<ParsedArticleResult>}
  * @private
  */
-export async function getArticleContent(article) {
+export async function getArticleContent(article, {archive, signal}={}) {
 
   // Build article flags which will be put inside journal entry
   const waFlags = {
     articleId: article.id,
-    articleURL: article.url,
+    articleURL: isSafeURL(article.url) ? article.url : null,
+    worldId: article.worldId ?? article.world?.id,
+    updateDate: article.updateDate ?? null,
+    syncedAt: game.time.serverTime,
     tags: article.tags?.split(",") ?? [],
   };
   const pageNames = game.modules.get("world-anvil").pageNames;
@@ -382,12 +1069,14 @@ export async function getArticleContent(article) {
         isSectionSecret(id) ?  ARTICLE_CSS_CLASSES.SECRET_SECTION : ARTICLE_CSS_CLASSES.PUBLIC_SECTION
       ].join(" ");
 
-      let sectionInPages = `<section data-section-id="${id}" class="${cssClass}">`;
+      // Section ids and titles are escaped, since they may come from an untrusted archive
+      const escape = foundry.utils.escapeHTML;
+      let sectionInPages = `<section data-section-id="${escape(id)}" class="${cssClass}">`;
 
       // Title can be replaced by a localized name if the section id has been handled
       // Display long-format content as a paragraph section with a header
-      const title = _getLocalizedTitle(id, section);
-      const parsed = await contentParsedWoArticleBlocks(section);
+      const title = escape(_getLocalizedTitle(id, section));
+      const parsed = await contentParsedWoArticleBlocks(section, waFlags.worldId, archive, signal);
       const isLongContent = section.content.length > 100;
       if( isLongContent ) {
         sectionInPages += `<h2>${title}</h2>`;
@@ -432,17 +1121,18 @@ export async function getArticleContent(article) {
   }
   
   // Combine content sections
-  const contentParsed = await contentParsedWoArticleBlocks(article);
+  const contentParsed = await contentParsedWoArticleBlocks(article, waFlags.worldId, archive, signal);
   let content = `<section class="${ARTICLE_CSS_CLASSES.ALL_PARTS} ${ARTICLE_CSS_CLASSES.MAIN_CONTENT}">`;
   content += `<p>${contentParsed}</p>`;
   content += "</section>";
   pages.html[pageNames.mainArticle] = content;
   
   // Modify each page so that they really becomes HTML content
-  Object.entries(pages.html).forEach( ([key, value]) => pages.html[key] = parsedContentToHTML(value) );
+  const blocks = await _getArticleBlocks(Object.values(pages.html));
+  Object.entries(pages.html).forEach( ([key, value]) => pages.html[key] = parsedContentToHTML(value, blocks) );
 
   // Related timeline
-  const timelineContent = await extractTimelineFromArticle(article);
+  const timelineContent = archive ? undefined : await extractTimelineFromArticle(article, signal);
   if( !!timelineContent ) {
     pages.html[pageNames.timeline] = timelineContent;
   }
@@ -450,6 +1140,9 @@ export async function getArticleContent(article) {
   // Add image pages
   addJournalImagePages(article, pages);
 
+  // Replace World Anvil images by local copies
+  if ( game.settings.get("world-anvil", "downloadImages") ) await _hostImages(pages);
+
   /**
    * A hook event that fires when a WorldAnvil article is parsed
    * @function WACreateJournalEntry
@@ -480,9 +1173,10 @@ function parseRelationProtagonist(htmlRelation, leftOne=true) {
 /**
  * Modify content by substituting image paths, adding paragraph break and wa-link elements
  * @param {string} content parsed article content
+ * @param {Map<string, string>} [blocks] The main page content of each imported article included as an article block
  * @returns {string} Content in HTML format (HtmlElement.innerHTML)
  */
-export function parsedContentToHTML(content) {
+export function parsedContentToHTML(content, blocks=new Map()) {
 
   if( content === "" ) { return ""; }
 
@@ -533,7 +1227,7 @@ export function parsedContentToHTML(content) {
   htmlElement.innerHTML = htmlElement.innerHTML.replace(/%p%/g, "</p>\n<p>");
 
   // Replace article blocks
-  substitueArticleBlocksInHtml(htmlElement);
+  substitueArticleBlocksInHtml(htmlElement, blocks);
 
 
   return htmlElement.innerHTML;
@@ -571,6 +1265,146 @@ export function parsedContentToHTML(content) {
   createImagePage(pageNames.cover, "cover", undefined);
 }
 
+/* -------------------------------------------- */
+/*  Local Images                                */
+/* -------------------------------------------- */
+
+/**
+ * The local path of each downloaded World Anvil image, by URL, shared by the articles imported during this session
+ * @type {Map<string, Promise<string>>}
+ */
+const localImages = new Map();
+
+/**
+ * The names of the files of each local image folder, listed once per session and completed by uploads
+ * @type {Map<string, Promise<Set<string>>>}
+ */
+const localImageFolders = new Map();
+
+/**
+ * Download the World Anvil images of parsed article content into the configured image folder,
+ * and reference the local copies instead. Images keep their World Anvil URL as data-wa-src,
+ * so that they are pushed back to World Anvil unchanged.
+ * @param {ParsedArticleResult} pages     The parsed article content
+ * @returns {Promise<void>}
+ * @private
+ */
+async function _hostImages(pages) {
+
+  // Images within page content. Parsed content does not load its images while it is modified
+  for ( const [name, html] of Object.entries(pages.html) ) {
+    const doc = new DOMParser().parseFromString(html, "text/html");
+    const images = Array.from(doc.body.querySelectorAll("img")).filter(i => _isWorldAnvilImage(i.src));
+    if ( !images.length ) continue;
+    for ( const img of images ) {
+      const url = img.src;
+      const src = await getLocalImage(url);
+      if ( src === url ) continue;
+      img.setAttribute("src", src);
+      img.dataset.waSrc = url;
+    }
+    pages.html[name] = doc.body.innerHTML;
+  }
+
+  // Portrait, cover and flag pages
+  for ( const [name, url] of Object.entries(pages.images) ) {
+    if ( _isWorldAnvilImage(url) ) pages.images[name] = await getLocalImage(url);
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Whether an image is hosted by World Anvil
+ * @param {string} src                    The image source
+ * @returns {boolean}
+ * @private
+ */
+function _isWorldAnvilImage(src) {
+  return URL.canParse(src) && new URL(src).hostname.endsWith("worldanvil.com");
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Get the local copy of a World Anvil image, downloading it unless it was already downloaded.
+ * Local files are named after the hash of their URL, so that each image is downloaded once across syncs.
+ * Images which cannot be downloaded keep their World Anvil URL.
+ * @param {string} url                    The World Anvil URL of the image
+ * @returns {Promise<string>}             The local path of the image, or its URL if it could not be downloaded
+ */
+export async function getLocalImage(url) {
+  if ( !localImages.has(url) ) {
+    const download = _downloadImage(url).catch(err => {
+      localImages.delete(url);
+      throw err;
+    });
+    localImages.set(url, download);
+  }
+  try {
+    return await localImages.get(url);
+  } catch(err) {
+    logger.warn(`Unable to download the World Anvil image ${url}, it remains linked`, err);
+    return url;
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Download a World Anvil image, and upload it into the configured image folder if it is not there yet
+ * @param {string} url                    The World Anvil URL of the image
+ * @returns {Promise<string>}             The local path of the image
+ * @private
+ */
+async function _downloadImage(url) {
+  const folder = game.settings.get("world-anvil", "imageFolder").replace(/\/+$/, "");
+  const extension = new URL(url).pathname.split(".").pop().toLowerCase();
+  const name = /^[a-z0-9]{2,4}$/.test(extension) ? `${_hashContent(url)}.${extension}` : _hashContent(url);
+  const path = `${folder}/${name}`;
+
+  // Images downloaded during previous syncs are reused
+  if ( !localImageFolders.has(folder) ) {
+    const listing = _listImageFolder(folder).catch(err => {
+      localImageFolders.delete(folder);
+      throw err;
+    });
+    localImageFolders.set(folder, listing);
+  }
+  const files = await localImageFolders.get(folder);
+  if ( files.has(name) ) return path;
+
+  // Download the image, then upload it
+  const response = await fetch(url);
+  if ( !response.ok ) throw new Error(`World Anvil answered ${response.status} for image ${url}`);
+  const blob = await response.blob();
+  const file = new File([blob], name, {type: blob.type});
+  const FilePicker = foundry.applications.apps.FilePicker.implementation;
+  const result = await FilePicker.upload("data", folder, file, {}, {notify: false});
+  if ( !result?.path ) throw new Error(`Unable to upload image ${name} into ${folder}`);
+  files.add(name);
+  return result.path;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * List the names of the files of the image folder, creating the folder if it does not exist
+ * @param {string} folder                 The image folder, within the user data
+ * @returns {Promise<Set<string>>}
+ * @private
+ */
+async function _listImageFolder(folder) {
+  const FilePicker = foundry.applications.apps.FilePicker.implementation;
+  try {
+    const {files} = await FilePicker.browse("data", folder);
+    return new Set(files.map(f => decodeURIComponent(f.split("/").pop())));
+  } catch(err) {
+    await FilePicker.createDirectory("data", folder, {notify: false});
+    return new Set();
+  }
+}
+
 /* -------------------------------------------- */
 
 /**
@@ -593,15 +1427,18 @@ function _getLocalizedTitle( sectionId, section ) {
 /**
  * Get the full mapping of Categories which exist in this World and the tree structure which organizes them.
  * @param {boolean} cache     Use a cached set of categories, otherwise retrieve fresh from the World Anvil API.
+ * @param {string} [worldId]  The World from which categories are retrieved. Defaults to the active World
+ * @param {WorldAnvilArchive} [archive] An export archive from which categories are read instead of the World Anvil API
  * @returns {Promise<{categories: CategoryMap, tree: Category}>}
  */
-export async function getCategories({cache=true}={}) {
+export async function getCategories({cache=true, worldId, archive}={}) {
+  worldId = worldId ?? game.modules.get("world-anvil").anvil.worldId;
 
   // Get the category mapping
-  const categories = await _getCategories({cache});
+  const categories = await _getCategories({cache, worldId, archive});
 
   // Associate categories with Folder documents
-  associateCategoryFolders(categories);
+  associateCategoryFolders(categories, worldId);
 
   // Tree starts with root
   const tree = categories.get(CATEGORY_ID.root);
@@ -614,43 +1451,45 @@ export async function getCategories({cache=true}={}) {
 /**
  * Get the mapping of world anvil categories from the API (or from local cache).
  * @param {boolean} cache     Use a cached set of categories, otherwise retrieve fresh from the World Anvil API.
+ * @param {string} worldId    The World from which categories are retrieved
+ * @param {WorldAnvilArchive} [archive] An export archive from which categories are read instead of the World Anvil API
  * @returns {Promise<CategoryMap>}
  * @private
  */
-async function _getCategories({cache=true}={}) {
-  const anvil = game.modules.get("world-anvil").anvil;
-  const categories = cachedCategories;
+async function _getCategories({cache=true, worldId, archive}={}) {
+  const source = archive ?? game.modules.get("world-anvil").anvil;
+  const cached = _worldCache(cachedCategories, worldId);
 
   // Return the category mapping from cache
-  if ( cache && categories.size ) {
-    associateCategoryFolders(categories);
-    return categories;
+  if ( cache && cached.size ) {
+    associateCategoryFolders(cached, worldId);
+    return cached;
   }
 
-  // Create a new category mapping
-  categories.clear();
+  // Create a new category mapping. The cached mapping is only replaced once the new one is complete,
+  // since concurrent imports may read it in the meantime
+  const categories = new Map();
 
   // Make sure WA world has already been retrieved
-  if( !anvil.world ) {
-    await anvil.getWorld(anvil.worldId);
-  }
+  const world = await source.getWorld(worldId);
 
   // Add a root node
   const root = {
     id: CATEGORY_ID.root,
-    title:  `[WA] ${anvil.world.name}`,
+    worldId,
+    title:  `[WA] ${world.name}`,
     position: 0,
     articles: [],
     articleIds: [],
     children: [],
-    childrenIds: [],
-    folder: null
+    childrenIds: []
   };
   categories.set(root.id, root);
 
   // Add an uncategorized node
   const uncategorized = {
     id: CATEGORY_ID.uncategorized,
+    worldId,
     title: game.i18n.localize('WA.CategoryUncategorized'),
     position: 9e9,
     articles: [],
@@ -661,12 +1500,13 @@ async function _getCategories({cache=true}={}) {
   };
   categories.set(uncategorized.id, uncategorized);
 
-  // Retrieve categories from the World Anvil API (build map)
-  const request = await anvil.getCategories();
+  // Retrieve categories from the World Anvil API, or from the persistent cache (build map)
+  const request = await source.getCategories({cached: cache, worldId});
   
   // First loop : Store in map
   const reqCategories = (request?.categories || []);
   for ( let c of reqCategories ) {
+    c.worldId = worldId;
     categories.set(c.id, c);
   }
 
@@ -699,6 +1539,7 @@ async function _getCategories({cache=true}={}) {
   uncategorized.parent = root;
   root.children.push(uncategorized);
 
+  cachedCategories.set(worldId, categories);
   return categories;
 }
 
@@ -707,12 +1548,12 @@ async function _getCategories({cache=true}={}) {
 /**
  * Associated Categories from the WA hierarchy with existing Folders within the World.
  * @param {CategoryMap} categories      The categories being mapped
+ * @param {string} worldId              The World to which the categories belong
  */
-export function associateCategoryFolders(categories) {
-  const folders = game.folders.filter(f => (f.type === "JournalEntry") && f.flags["world-anvil"]);
+export function associateCategoryFolders(categories, worldId) {
+  const folders = getImportFolders().filter(f => f.getFlag("world-anvil", "worldId") === worldId);
   for ( let [id, category] of categories ) {
-    if ( id === CATEGORY_ID.root ) category.folder = null;
-    else category.folder = folders.find(f => f.getFlag("world-anvil", "categoryId") === id);
+    category.folder = folders.find(f => f.getFlag("world-anvil", "categoryId") === id);
   }
 }
 
@@ -725,20 +1566,495 @@ export function associateCategoryFolders(categories) {
  */
 export async function getCategoryFolder(category) {
   if ( category.folder !== undefined ) return category.folder;
-  if ( category.parent && !category.parent.folder ) await getCategoryFolder(category.parent);
+
+  // Categories beyond the folder depth limit may share the folder of an ancestor
+  const layout = _getFolderLayout(category);
+  if ( layout.owner !== category ) return category.folder = await getCategoryFolder(layout.owner);
+  if ( layout.parent && !layout.parent.folder ) await getCategoryFolder(layout.parent);
 
   // Check whether a Folder already exists for this Category
-  const folder = game.folders.find(f => ( f.type === "JournalEntry" ) && ( f.getFlag("world-anvil", "categoryId") === category.id) );
+  const folder = getImportFolders().find(f => ( f.getFlag("world-anvil", "categoryId") === category.id)
+    && ( f.getFlag("world-anvil", "worldId") === category.worldId) );
   if ( folder ) return category.folder = folder;
 
-  // Create a new Folder
-  return category.folder = await Folder.create({
-    name: `[WA] ${category.title}`,
+  // Create a new Folder. The root category is the folder of the whole World
+  const key = `${category.worldId}.${category.id}`;
+  if ( !pendingFolders.has(key) ) {
+    const creation = Folder.create({
+      name: layout.name,
+      type: "JournalEntry",
+      parent: layout.parent?.folder?.id,
+      sorting: 'm',
+      sort: layout.sort,
+      "flags.world-anvil.categoryId": category.id,
+      "flags.world-anvil.worldId": category.worldId
+    }, getImportOptions());
+    pendingFolders.set(key, creation.finally(() => pendingFolders.delete(key)));
+  }
+  return category.folder = await pendingFolders.get(key);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * @typedef {Object} FolderLayout
+ * @property {Category} owner         The category whose folder contains the entries of this category
+ * @property {Category|null} parent   The category whose folder is the parent of this category folder
+ * @property {string} name            The folder name
+ * @property {number} sort            The folder sort value, following World Anvil category positions
+ */
+
+/**
+ * Determine where the folder of a category belongs.
+ * Foundry limits the depth of folders: categories nested deeper are either given a folder beside their
+ * deepest allowed ancestor, named after their path from it, or share the folder of that ancestor,
+ * according to the folderFlattening setting.
+ * @param {Category} category         The category of interest
+ * @returns {FolderLayout}
+ * @private
+ */
+function _getFolderLayout(category) {
+  const maxDepth = CONST.FOLDER_MAX_DEPTH;
+  const ancestors = [];
+  for ( let c = category.parent; c; c = c.parent ) ancestors.unshift(c);
+  const sort = _getCategorySort(ancestors[0] ?? category, category);
+
+  // The category folder fits within the depth limit
+  if ( ancestors.length < maxDepth ) {
+    const isRoot = category.id === CATEGORY_ID.root;
+    return {owner: category, parent: category.parent ?? null, name: isRoot ? category.title : `[WA] ${category.title}`, sort};
+  }
+
+  // Share the folder of the deepest allowed ancestor
+  if ( game.settings.get("world-anvil", "folderFlattening") === "merge" ) {
+    return {owner: ancestors[maxDepth - 1], parent: ancestors[maxDepth - 2], name: "", sort};
+  }
+
+  // Create a sibling folder of the deepest allowed ancestor, named after the path from it
+  const path = [...ancestors.slice(maxDepth - 1), category].map(c => c.title);
+  return {owner: category, parent: ancestors[maxDepth - 2], name: `[WA] ${path.join(" › ")}`, sort};
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Compute the sort value of a category folder, from the rank of the category in a depth-first walk of the tree.
+ * Siblings are ordered by their World Anvil position, so flattened subcategories stay next to their ancestors.
+ * @param {Category} root             The root of the category tree
+ * @param {Category} category         The category of interest
+ * @returns {number}
+ * @private
+ */
+function _getCategorySort(root, category) {
+  let rank = 0;
+  const walk = node => {
+    if ( node === category ) return true;
+    rank++;
+    const children = [...(node.children ?? [])].sort((a, b) => {
+      const positionDiff = (a.position ?? 0) - (b.position ?? 0);
+      if ( positionDiff !== 0 ) return positionDiff;
+      return (a.title ?? "").localeCompare(b.title ?? "");
+    });
+    return children.some(walk);
+  };
+  walk(root);
+  return rank * CONST.SORT_INTEGER_DENSITY;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Update the category folders of a World to follow the current World Anvil categories.
+ * Folders are renamed, moved below the folder of their new parent category and sorted by category position.
+ * The root folder of the World is only renamed, so that it may be kept in any folder.
+ * @param {object} [options]
+ * @param {string} [options.worldId]  The World ID. Defaults to the active World
+ * @returns {Promise<void>}
+ */
+export async function reconcileCategoryFolders({worldId}={}) {
+  const {tree} = await getCategories({worldId});
+
+  // Update folders level by level, so that parent folders are moved before their children
+  let level = [tree];
+  while ( level.length ) {
+    const updates = [];
+    for ( const category of level ) {
+      const folder = category.folder;
+      if ( !folder || (folder.getFlag("world-anvil", "categoryId") !== category.id) ) continue;
+      const layout = _getFolderLayout(category);
+      const changes = {};
+      if ( folder.name !== layout.name ) changes.name = layout.name;
+      if ( category !== tree ) {
+        if ( layout.parent && !layout.parent.folder ) await getCategoryFolder(layout.parent);
+        const parentId = layout.parent?.folder?.id ?? null;
+        if ( (folder.folder?.id ?? null) !== parentId ) changes.folder = parentId;
+        if ( folder.sort !== layout.sort ) changes.sort = layout.sort;
+      }
+      if ( !foundry.utils.isEmpty(changes) ) updates.push({_id: folder.id, ...changes});
+    }
+    if ( updates.length ) await Folder.updateDocuments(updates, {worldAnvil: true, ...getImportOptions()});
+    level = level.flatMap(c => c.children ?? []);
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Order the articles of each category as they are displayed by World Anvil, and record the order on the category.
+ * Articles listed by their category come first, in that order. Others follow, by position and then by title.
+ * @param {Article[]} articles            The listed articles of a World
+ * @param {CategoryMap} categories        The categories of the same World
+ */
+export function sortArticles(articles, categories) {
+  const uncategorized = categories.get(CATEGORY_ID.uncategorized);
+  const byCategory = new Map();
+  for ( const article of articles ) {
+    const category = categories.get(article.category?.id) ?? uncategorized;
+    if ( !byCategory.has(category) ) byCategory.set(category, []);
+    byCategory.get(category).push(article);
+  }
+  for ( const category of categories.values() ) {
+    const categoryArticles = byCategory.get(category) ?? [];
+    const listed = new Map(categoryArticles.map(a => [a.id, a]));
+    const referenced = category.articleIds.filter(id => listed.has(id));
+    const unreferenced = categoryArticles.filter(a => !category.articleIds.includes(a.id)).sort((a, b) => {
+      const positionDiff = (a.position ?? 0) - (b.position ?? 0);
+      if ( positionDiff !== 0 ) return positionDiff;
+      return (a.title ?? "").localeCompare(b.title ?? "");
+    });
+    category.sortedArticleIds = [...referenced, ...unreferenced.map(a => a.id)];
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Ensure that the articles of each category are ordered, see sortArticles.
+ * The order is computed from the cached listing of the World, or from the articles of an export archive.
+ * @param {CategoryMap} categories        The categories of a World
+ * @param {object} [options]
+ * @param {string} [options.worldId]      The World of the categories. Defaults to the active World
+ * @param {WorldAnvilArchive} [options.archive] The export archive which lists the articles instead of World Anvil
+ * @returns {Promise<void>}
+ * @private
+ */
+async function _ensureArticleOrder(categories, {worldId, archive}={}) {
+  if ( Array.from(categories.values()).every(c => c.sortedArticleIds) ) return;
+  let articles;
+  if ( archive ) articles = Array.from(archive.articles.values());
+  else {
+    const anvil = game.modules.get("world-anvil").anvil;
+    ({articles} = await anvil.getArticles({worldId: worldId ?? anvil.worldId, cached: true}));
+  }
+  sortArticles(articles, categories);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Compute the sort value of an entry within its category folder, following the order of articles on World Anvil.
+ * Articles ordered by sortArticles keep that order. Others, created since the listing, follow by position.
+ * @param {Article} article           The article of interest
+ * @param {Category} [category]       The category of the article
+ * @returns {number}
+ */
+export function getArticleSort(article, category) {
+  const sortedIds = category?.sortedArticleIds ?? category?.articleIds ?? [];
+  const index = sortedIds.indexOf(article.id);
+  const rank = (index >= 0) ? index : sortedIds.length + (article.position ?? 0);
+  return (rank + 1) * CONST.SORT_INTEGER_DENSITY;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Update the sort value of imported entries whose article was reordered on World Anvil.
+ * Entries whose location is pinned are not sorted.
+ * @param {object} options
+ * @param {Article[]} options.articles        The listed articles of a World
+ * @param {CategoryMap} options.categories    The categories of the same World
+ * @returns {Promise<void>}
+ */
+export async function reconcileEntrySort({articles, categories}) {
+  const entries = new Map((await getImportedEntries()).map(e => [e.getFlag("world-anvil", "articleId"), e]));
+  const updates = [];
+  sortArticles(articles, categories);
+  for ( const article of articles ) {
+    const entry = entries.get(article.id);
+    if ( !entry || entry.getFlag("world-anvil", "pinnedLocation") ) continue;
+    const category = categories.get(article.category?.id) ?? categories.get(CATEGORY_ID.uncategorized);
+    const sort = getArticleSort(article, category);
+    if ( entry.sort !== sort ) updates.push({_id: entry.id, sort});
+  }
+  if ( updates.length ) await JournalEntry.updateDocuments(updates, {worldAnvil: true, ...getImportOptions()});
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Pin or unpin the location of an imported entry. Pinned entries are not moved when their article changes category.
+ * @param {JournalEntry} entry            The imported JournalEntry
+ * @param {boolean} pinned                Whether the location should be pinned
+ * @returns {Promise<JournalEntry>}
+ */
+export async function pinEntryLocation(entry, pinned) {
+  return entry.update({"flags.world-anvil.pinnedLocation": pinned}, {worldAnvil: true});
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Folders and entries imported before several Worlds could be linked do not record the World they come from.
+ * Assign them to the World which was linked at that time.
+ * @param {string} worldId        The previously linked World ID
+ * @returns {Promise<void>}
+ */
+export async function assignLegacyWorld(worldId) {
+  const isLegacy = doc => doc.flags["world-anvil"] && !doc.getFlag("world-anvil", "worldId");
+  const toUpdate = doc => ({_id: doc.id, "flags.world-anvil.worldId": worldId});
+
+  const folderUpdates = game.folders.filter(f => (f.type === "JournalEntry") && isLegacy(f)).map(toUpdate);
+  if ( folderUpdates.length ) await Folder.updateDocuments(folderUpdates);
+
+  const entryUpdates = game.journal.filter(isLegacy).map(toUpdate);
+  if ( entryUpdates.length ) await JournalEntry.updateDocuments(entryUpdates);
+}
+
+/* -------------------------------------------- */
+/*  Orphaned Entries and Folders                */
+/* -------------------------------------------- */
+
+/**
+ * @typedef {Object} Orphans
+ * @property {(JournalEntry|ImportedEntryIndex)[]} entries  Imported entries whose article no longer exists on World Anvil
+ * @property {Folder[]} folders           Category folders whose category no longer exists on World Anvil
+ */
+
+/**
+ * Find the imported entries and category folders of a World which are no longer linked to World Anvil content.
+ * Orphans which were already archived are ignored.
+ * @param {object} options
+ * @param {Article[]} options.articles        Every article of the World, including drafts and WIP
+ * @param {CategoryMap} options.categories    Every category of the World
+ * @param {string} options.worldId            The World ID
+ * @returns {Promise<Orphans>}
+ */
+export async function findOrphans({articles, categories, worldId}) {
+  const articleIds = new Set(articles.map(a => a.id));
+  const isCandidate = doc => (doc.getFlag("world-anvil", "worldId") === worldId) && !doc.getFlag("world-anvil", "orphaned");
+  const entries = (await getImportedEntries()).filter(e => {
+    const articleId = e.getFlag("world-anvil", "articleId");
+    return articleId && isCandidate(e) && !articleIds.has(articleId);
+  });
+  const folders = getImportFolders().filter(f => {
+    const categoryId = f.getFlag("world-anvil", "categoryId");
+    return categoryId && isCandidate(f) && !categories.has(categoryId);
+  });
+  return {entries, folders};
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Get the Folder in which orphaned entries and folders are archived, creating it if needed
+ * @returns {Promise<Folder>}
+ */
+export async function getOrphanedFolder() {
+  const folder = getImportFolders().find(f => f.getFlag("world-anvil", "orphaned"));
+  if ( folder ) return folder;
+  return Folder.create({
+    name: `[WA] ${game.i18n.localize("WA.Orphans.Folder")}`,
     type: "JournalEntry",
-    parent: category.parent?.folder?.id,
-    sorting: 'm',
-    "flags.world-anvil.categoryId": category.id
+    sorting: "a",
+    "flags.world-anvil.orphaned": true
+  }, getImportOptions());
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Move orphaned entries and folders into the archive Folder.
+ * They keep their World Anvil link, so that they are reconnected if their content is published again.
+ * @param {Orphans} orphans               The orphans to archive
+ * @returns {Promise<void>}
+ */
+export async function archiveOrphans({entries=[], folders=[]}) {
+  const archive = await getOrphanedFolder();
+  const toUpdate = doc => ({_id: doc.id, folder: archive.id, "flags.world-anvil.orphaned": true});
+  const options = {worldAnvil: true, ...getImportOptions()};
+  if ( folders.length ) await Folder.updateDocuments(folders.map(toUpdate), options);
+  if ( entries.length ) await JournalEntry.updateDocuments(entries.map(toUpdate), options);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Remove the World Anvil link of orphaned entries and folders, which become regular Foundry documents
+ * @param {Orphans} orphans               The orphans to unlink
+ * @returns {Promise<void>}
+ */
+export async function unlinkOrphans({entries=[], folders=[]}) {
+  const toUpdate = doc => ({_id: doc.id, "flags.-=world-anvil": null});
+  const options = getImportOptions();
+  if ( folders.length ) await Folder.updateDocuments(folders.map(toUpdate), options);
+  if ( entries.length ) await JournalEntry.updateDocuments(entries.map(toUpdate), options);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Delete orphaned entries and folders. The content of deleted folders is moved to their parent folder.
+ * @param {Orphans} orphans               The orphans to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteOrphans({entries=[], folders=[]}) {
+  const options = getImportOptions();
+  if ( entries.length ) await JournalEntry.deleteDocuments(entries.map(e => e.id), options);
+  if ( folders.length ) await Folder.deleteDocuments(folders.map(f => f.id), options);
+}
+
+/* -------------------------------------------- */
+/*  Maps Management                             */
+/* -------------------------------------------- */
+
+/**
+ * The icon of the Map Notes created from World Anvil markers
+ * @type {string}
+ */
+const MAP_NOTE_ICON = "icons/svg/book.svg";
+
+/**
+ * Find the Scene imported from a World Anvil map
+ * @param {string} mapId                    The World Anvil map ID
+ * @returns {Scene|undefined}
+ */
+export function findMapScene(mapId) {
+  return game.scenes.find(s => s.getFlag("world-anvil", "mapId") === mapId);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Import a World Anvil map as a Scene whose background is the map image, or update the Scene previously imported.
+ * Each marker becomes a Map Note linked to the imported entry of its article. Markers of articles which are not
+ * imported yet keep their article ID, and import it when they are activated, see activateMapNote.
+ * @param {string} mapId                    The World Anvil map ID
+ * @param {object} [options]
+ * @param {boolean} [options.notify=true]   Display a notification when the map is imported
+ * @param {string} [options.worldId]        The World of the map. Defaults to the active World
+ * @returns {Promise<Scene>}
+ */
+export async function importMap(mapId, {notify=true, worldId}={}) {
+  const anvil = game.modules.get("world-anvil").anvil;
+  const map = await anvil.getMap(mapId);
+  worldId = map.world?.id ?? worldId ?? anvil.worldId;
+
+  // The map image is the Scene background, and gives the Scene its dimensions
+  let src = map.image?.url?.replace("http://", "https://");
+  if ( !src ) throw new Error(game.i18n.format("WA.Maps.NoImage", {title: map.title}));
+  if ( game.settings.get("world-anvil", "downloadImages") && _isWorldAnvilImage(src) ) src = await getLocalImage(src);
+  const {width, height} = (map.width && map.height) ? map : await _getImageSize(src);
+
+  // Markers become Map Notes
+  const notes = [];
+  for ( const marker of map.markers ?? [] ) {
+    notes.push(await _markerToNote(marker));
+  }
+  const sceneData = {
+    name: map.title,
+    background: {src},
+    width,
+    height,
+    padding: 0,
+    flags: {"world-anvil": {mapId: map.id, mapURL: map.url, worldId}}
+  };
+
+  // Update the previously imported Scene, replacing the notes of its markers
+  let scene = findMapScene(map.id);
+  if ( scene ) {
+    const previous = scene.notes.filter(n => n.getFlag("world-anvil", "markerId")).map(n => n.id);
+    await scene.update(sceneData);
+    if ( previous.length ) await scene.deleteEmbeddedDocuments("Note", previous);
+    if ( notes.length ) await scene.createEmbeddedDocuments("Note", notes);
+    if ( notify ) ui.notifications.info(game.i18n.format("WA.Maps.Updated", {title: map.title}));
+    return scene;
+  }
+
+  // Create a new Scene
+  scene = await Scene.create({
+    ...sceneData,
+    grid: {type: CONST.GRID_TYPES.GRIDLESS},
+    tokenVision: false,
+    notes
   });
+  if ( notify ) ui.notifications.info(game.i18n.format("WA.Maps.Imported", {title: map.title}));
+  return scene;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Get the dimensions of an image, loading it if needed
+ * @param {string} src                      The image source
+ * @returns {Promise<{width: number, height: number}>}
+ * @private
+ */
+async function _getImageSize(src) {
+  const img = new Image();
+  img.src = src;
+  await img.decode();
+  return {width: img.naturalWidth, height: img.naturalHeight};
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Prepare the Map Note of a World Anvil marker.
+ * Marker coordinates are pixels of the map image, from its top left corner.
+ * Only entries of the world are linked by the note, entries of a compendium are found when the note is activated.
+ * @param {object} marker                   The World Anvil marker
+ * @returns {Promise<object>}               The Note data
+ * @private
+ */
+async function _markerToNote(marker) {
+  const articleId = marker.article?.id ?? null;
+  const entry = articleId ? await findImportedEntry(articleId) : undefined;
+  return {
+    x: Math.round(Number(marker.x) || 0),
+    y: Math.round(Number(marker.y) || 0),
+    text: marker.title ?? entry?.name ?? "",
+    entryId: (entry && !entry.pack) ? entry.id : null,
+    texture: {src: MAP_NOTE_ICON},
+    flags: {"world-anvil": {markerId: marker.id, articleId}}
+  };
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Display the entry of a World Anvil Map Note which is not linked to a world entry yet.
+ * The entry is imported if needed (GM only), and the note is linked to it when it is a world entry.
+ * @param {NoteDocument} note               The activated Map Note
+ * @returns {Promise<JournalEntry|void>}    The displayed entry
+ */
+export async function activateMapNote(note) {
+  const articleId = note.getFlag("world-anvil", "articleId");
+  let entry = await findImportedEntry(articleId);
+
+  // Import a new article (GM Only)
+  if ( !entry ) {
+    if ( !game.user.isGM ) return ui.notifications.warn(game.i18n.localize("WA.NoPermissionView"));
+    entry = await importArticle(articleId, {worldId: note.parent.getFlag("world-anvil", "worldId")});
+    if ( !entry ) return;
+  }
+  if ( game.user.isGM && !entry.pack ) await note.update({entryId: entry.id});
+
+  // View the linked article (OBSERVER+)
+  if ( !entry.testUserPermission(game.user, "OBSERVER") ) {
+    return ui.notifications.warn(game.i18n.localize("WA.NoPermissionView"));
+  }
+  entry.sheet.render(true);
+  return entry;
 }
 
 /* -------------------------------------------- */
@@ -746,15 +2062,17 @@ export async function getCategoryFolder(category) {
 /* -------------------------------------------- */
 
 /**
- * Get the full mapping of Timelines which exist in this World.
+ * Get the full mapping of Timelines which exist in a World.
  * @param {boolean} cache     Use a cached set of categories, otherwise retrieve fresh from the World Anvil API.
+ * @param {string} [worldId]  The World from which timelines are retrieved. Defaults to the active World
  * @returns {Promise<TimelineMap}>}
  */
-export async function getTimelines({cache=true}={}) {
+export async function getTimelines({cache=true, worldId}={}) {
 
   const anvil = game.modules.get("world-anvil").anvil;
-  const timelines = cachedTimelines;
-  const entriesRelatedToArticles = cachedHistories;
+  worldId = worldId ?? anvil.worldId;
+  const timelines = _worldCache(cachedTimelines, worldId);
+  const entriesRelatedToArticles = _worldCache(cachedHistories, worldId);
 
   // Return the timelines mapping from cache
   if ( cache && timelines.size ) {
@@ -766,12 +2084,10 @@ export async function getTimelines({cache=true}={}) {
   entriesRelatedToArticles.clear();
 
   // Make sure WA world has already been retrieved
-  if( !anvil.world ) {
-    await anvil.getWorld(anvil.worldId);
-  }
+  await anvil.getWorld(worldId);
 
-  // Retrieve categories from the World Anvil API (build map)
-  const rawEntryArray = await anvil.getTimelines();
+  // Retrieve timelines from the World Anvil API, or from the persistent cache (build map)
+  const rawEntryArray = await anvil.getTimelines({cached: cache, worldId});
   const significanceLabels = [...Array(6).keys()].map( level => game.i18n.localize(`WA.Timelines.Significance.${level}`) );
 
   // Put it in Timeline / History format
@@ -821,9 +2137,16 @@ export async function getTimelines({cache=true}={}) {
   return timelines;
 }
 
-export async function getHistoriesRelatedToArticles({cache=true}={}) {
-  await getTimelines({cache});
-  return cachedHistories;
+/**
+ * Get the mapping of History entries related to an article, by article id.
+ * @param {boolean} cache     Use a cached set of timelines, otherwise retrieve fresh from the World Anvil API.
+ * @param {string} [worldId]  The World from which timelines are retrieved. Defaults to the active World
+ * @returns {Promise<HistoryMap>}
+ */
+export async function getHistoriesRelatedToArticles({cache=true, worldId}={}) {
+  worldId = worldId ?? game.modules.get("world-anvil").anvil.worldId;
+  await getTimelines({cache, worldId});
+  return _worldCache(cachedHistories, worldId);
 }
 
 /**
@@ -899,7 +2222,8 @@ function computeHistoryDate(year, month, day, hour, minute, label) {
  * @returns {Timeline} Related timeline. Or undefined, if none is found
  */
 async function findRelatedTimeline(article) {
-  const timelineMap = await getTimelines();
+  const worldId = article.worldId ?? article.world?.id;
+  const timelineMap = await getTimelines({worldId});
   let timeline = undefined;
 
   const timelineId = article.relations?.timeline?.id;
@@ -908,7 +2232,7 @@ async function findRelatedTimeline(article) {
   }
 
   if(!timeline) {
-    const entry = (await getHistoriesRelatedToArticles()).get(article.id);
+    const entry = (await getHistoriesRelatedToArticles({worldId})).get(article.id);
     // We will not manage multiple timelines display here
     timeline = entry?.parents[0];
   }
@@ -918,31 +2242,41 @@ async function findRelatedTimeline(article) {
 /**
  * Create timeline content that will be added to the timeline Page
  * @param {Article} article article retrieved from WA PI
+ * @param {AbortSignal} [signal] A signal which aborts the parsing requests
  * @returns {string | undefined} Timeline content, if one exists
  */
-async function extractTimelineFromArticle(article) {
+async function extractTimelineFromArticle(article, signal) {
   const timeline = await findRelatedTimeline(article);
   if(!timeline) { return undefined; } 
 
-  const entryId = (await getHistoriesRelatedToArticles()).get(article.id)?.id;
+  const worldId = article.worldId ?? article.world?.id;
+  const entryId = (await getHistoriesRelatedToArticles({worldId})).get(article.id)?.id;
   const significanceTab = ["era-change", "major", "important", "minor", "trivial", "no-importance"];
 
   // Retrieve parsedContent if needed
   const anvil = game.modules.get("world-anvil").anvil;
   for( let entry of timeline.entries ) {
     if( entry.contentParsed == null && !!entry.content) {
-      const baseHtml = await anvil.parseContent({specificString: entry.content});
+      const baseHtml = await anvil.parseContent({specificString: entry.content, worldId, signal});
       entry.contentParsed = parsedContentToHTML(baseHtml);
     }
   }
 
+  // Find the imported entries of related articles
+  const relatedEntries = new Map();
+  for( let entry of timeline.entries ) {
+    for( let relatedId of [...entry.relatedCharacters, ...entry.relatedOrganizations] ) {
+      if( !relatedEntries.has(relatedId) ) relatedEntries.set(relatedId, await findImportedEntry(relatedId));
+    }
+  }
+
   // Create guiEntries
   const guiEntries = timeline.entries.map( e => {
 
     const relatedIds = [...e.relatedCharacters];
     relatedIds.push(...e.relatedOrganizations);
     const related = relatedIds.reduce( (_result, relatedId) => {
-      const journalEntry = game.journal.find(e => e.getFlag("world-anvil", "articleId") === relatedId);
+      const journalEntry = relatedEntries.get(relatedId);
       const img = journalEntry?.pages.find( p => p.type === "image");
       if( img ) {
         _result.push({
@@ -1011,9 +2345,12 @@ const BLOCK_DELIMITER = "WA-BLOCK-DELIMITER";
  * If it has, it will subsitute it with BLOCK_DELIMITERxxxBLOCK_DELIMITER. (This part will later be replaced by the other journal entry main page)
  * In case substitution has been done, contentParsed will be request from WA api. Otherwise, it will directly be retrieved from article
  * @param {object} articleOrSection Article or Section
+ * @param {string} [worldId] The World in which the article blocks are resolved
+ * @param {WorldAnvilArchive} [archive] The export archive which parses the content instead of the World Anvil API
+ * @param {AbortSignal} [signal] A signal which aborts the parsing request
  * @returns {string} contentParsed
  */
-async function contentParsedWoArticleBlocks(articleOrSection) {
+async function contentParsedWoArticleBlocks(articleOrSection, worldId, archive, signal) {
 
   const allowed = game.settings.get("world-anvil", "includeArticleBlocks");
   if(!allowed) {
@@ -1038,13 +2375,32 @@ async function contentParsedWoArticleBlocks(articleOrSection) {
     return articleOrSection.contentParsed;
   }
 
-  const anvil = game.modules.get("world-anvil").anvil;
-  const contentParsed = await anvil.parseContent({articleId: articleOrSection.id, specificString: baseContent});
+  const parser = archive ?? game.modules.get("world-anvil").anvil;
+  const contentParsed = await parser.parseContent({articleId: articleOrSection.id, specificString: baseContent, worldId, signal});
   return contentParsed;
 }
 
-function substitueArticleBlocksInHtml(htmlElement) {
-  const pageNames = game.modules.get("world-anvil").pageNames;
+/**
+ * Get the main page content of the imported articles included as article blocks in some parsed contents
+ * @param {string[]} contents             Parsed contents, where article blocks are surrounded by BLOCK_DELIMITER
+ * @returns {Promise<Map<string, string>>} The main page content of each imported article, by article ID
+ * @private
+ */
+async function _getArticleBlocks(contents) {
+  const blocks = new Map();
+  const pattern = new RegExp(`${BLOCK_DELIMITER}(.*?)${BLOCK_DELIMITER}`, "g");
+  for ( const content of contents ) {
+    for ( const [, articleId] of (content ?? "").matchAll(pattern) ) {
+      if ( blocks.has(articleId) ) continue;
+      const journalEntry = await findImportedEntry(articleId);
+      const articleMainPageContent = journalEntry ? _getWorldAnvilPages(journalEntry).get("mainArticle")?.text?.content : undefined;
+      if ( articleMainPageContent ) blocks.set(articleId, articleMainPageContent);
+    }
+  }
+  return blocks;
+}
+
+function substitueArticleBlocksInHtml(htmlElement, blocks) {
   const splitted = htmlElement.innerHTML.split(BLOCK_DELIMITER);
 
   let substituted = "";
@@ -1052,12 +2408,12 @@ function substitueArticleBlocksInHtml(htmlElement) {
     substituted += splitted[i];
     if( i+1 < splitted.length ) {
       const articleId = splitted[i+1];
-      const journalEntry = game.journal.find(e => e.getFlag("world-anvil", "articleId") === articleId);
-      const articleMainPageContent = journalEntry?.pages.find( p => p.name === pageNames.mainArticle)?.text?.content;
+      const articleMainPageContent = blocks.get(articleId);
+      // Substituted blocks are marked, so that they become [articleblock] tags again when pushed to World Anvil
       if( articleMainPageContent ) {
-        substituted += articleMainPageContent;
+        substituted += `<div class="wa-article-block" data-article-id="${articleId}">${articleMainPageContent}</div>`;
       } else {
-        substituted += `<span class="wa-link" data-article-id=${articleId}>Sync this article again after the targeted journal entry as been imported</span>`;
+        substituted += `<span class="wa-link wa-article-block" data-article-id=${articleId}>Sync this article again after the targeted journal entry as been imported</span>`;
       }
     }
   }
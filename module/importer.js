@@ -0,0 +1,103 @@
+import WorldAnvilArchive from "./archive.js";
+import WorldAnvilProgress from "./progress.js";
+import {getCategories, importArchiveArticle, reconcileCategoryFolders} from "./framework.js";
+import {reportError} from "./errors.js";
+import {logger} from "./logger.js";
+
+/**
+ * A form importing the articles of a World Anvil export archive, for users without a World Anvil API token or
+ * without network access
+ */
+export default class WorldAnvilArchiveImporter extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "world-anvil-archive",
+    classes: ["world-anvil", "wa-archive"],
+    tag: "form",
+    position: {
+      width: 480,
+      height: "auto"
+    },
+    window: {
+      title: "WA.Archive.Title",
+      contentClasses: ["standard-form"],
+      icon: "fas fa-file-archive"
+    },
+    form: {
+      closeOnSubmit: true,
+      handler: WorldAnvilArchiveImporter.#onSubmit
+    }
+  }
+
+  /** @override */
+  static PARTS = {
+    main: {
+      template: "modules/world-anvil/templates/archive.hbs"
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Import every article of an export archive, displaying the progress of the import
+   * @param {WorldAnvilArchive} archive     The export archive
+   * @param {object} [options]
+   * @param {boolean} [options.drafts=false]  Whether draft articles are imported
+   * @return {Promise<number>}              The number of imported articles
+   */
+  static async importArchive(archive, {drafts=false}={}) {
+    const worldId = archive.world.id;
+    const {categories} = await getCategories({cache: false, worldId, archive});
+    await reconcileCategoryFolders({worldId});
+    const articles = Array.from(archive.articles.values()).filter(a => drafts || !a.isDraft);
+    const conflicts = {choices: new Map(), applyToAll: false};
+
+    // Articles are read locally, so they are imported one at a time
+    const progress = new WorldAnvilProgress({
+      label: game.i18n.format("WA.Archive.Progress", {world: archive.world.name}),
+      total: articles.length
+    });
+    await progress.render(true);
+    let imported = 0;
+    for ( const article of articles ) {
+      if ( progress.cancelled ) break;
+      try {
+        await importArchiveArticle(archive, article.id, {categories, conflicts});
+        imported++;
+        progress.advance(article.title);
+      } catch(err) {
+        logger.error(`Failed to import archived article ${article.title}`, err);
+        progress.advance(article.title, err);
+      }
+    }
+    await progress.complete();
+    if ( !progress.cancelled && !progress.failures.length ) {
+      ui.notifications.info(game.i18n.format("WA.Archive.Completed", {count: imported, world: archive.world.name}));
+    }
+    return imported;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Read the submitted archive, and import its articles
+   * @this {WorldAnvilArchiveImporter}
+   * @param {SubmitEvent} event
+   * @param {HTMLFormElement} form
+   * @param {FormDataExtended} formData
+   * @private
+   */
+  static async #onSubmit(event, form, formData) {
+    const file = form.elements.archive.files[0];
+    if ( !file ) return ui.notifications.warn(game.i18n.localize("WA.Archive.NoFile"));
+    try {
+      const archive = await WorldAnvilArchive.fromFile(file);
+      await WorldAnvilArchiveImporter.importArchive(archive, {drafts: !!formData.object.drafts});
+    } catch(err) {
+      return reportError(err);
+    }
+    const browser = game.modules.get("world-anvil").browser;
+    if ( browser.rendered ) browser.render();
+  }
+}
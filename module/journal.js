@@ -1,4 +1,36 @@
-import {importArticle, getArticleContent, getCategories, CATEGORY_ID} from "./framework.js";
+import {importArticle, getArticleContent, getCategories, getTimelines, isEntryModifiedLocally, findOrphans, reconcileCategoryFolders, reconcileEntrySort, sortArticles, getImportedEntries, getImportOptions, importMap, findMapScene, CATEGORY_ID} from "./framework.js";
+import {reportError} from "./errors.js";
+import {logger} from "./logger.js";
+import WorldAnvilOrphans from "./orphans.js";
+import WorldAnvilProgress from "./progress.js";
+
+/**
+ * The number of articles imported at the same time during bulk imports
+ * @type {number}
+ */
+const BULK_CONCURRENCY = 4;
+
+/**
+ * @typedef {Object} BulkImportJob
+ * @property {string} worldId           The World of the imported articles
+ * @property {string} categoryId        The imported Category
+ * @property {string} label             A description of the bulk operation
+ * @property {boolean} changedOnly      Whether only articles updated on World Anvil are synced
+ * @property {number} total             The number of articles of the whole operation
+ * @property {{id: string, title: string}[]} remaining  The articles which are not processed yet
+ * @property {BulkFailure[]} failures   The articles which could not be imported
+ */
+
+/**
+ * The sync status of an imported article, from the least to the most urgent.
+ * A category displays the most urgent status among its articles and subcategories.
+ * @enum {{id: string, icon: string, label: string}}
+ */
+const SYNC_STATUS = {
+  current: {id: "current", icon: "fas fa-check-circle", label: "WA.SyncStatus.Current"},
+  changed: {id: "changed", icon: "fas fa-cloud-download-alt", label: "WA.SyncStatus.Changed"},
+  modified: {id: "modified", icon: "fas fa-pen-square", label: "WA.SyncStatus.Modified"}
+};
 
 /**
  * A World Anvil Directory that allows you to see and manage your World Anvil content in Foundry VTT
@@ -18,6 +50,12 @@ export default class WorldAnvilBrowser extends foundry.applications.api.Handleba
    */
   categories;
 
+  /**
+   * An array of interactive Maps which appear in this World
+   * @type {object[]}
+   */
+  maps;
+
   /**
    * On first init, close subcategories
    * @type {boolean}
@@ -45,6 +83,12 @@ export default class WorldAnvilBrowser extends foundry.applications.api.Handleba
    */
   _collapsedCategories = [];
 
+  /**
+   * The progress window of the running, or last, bulk import
+   * @type {WorldAnvilProgress|null}
+   */
+  #bulkProgress = null;
+
   /* -------------------------------------------- */
 
   static DEFAULT_OPTIONS = {
@@ -83,11 +127,25 @@ export default class WorldAnvilBrowser extends foundry.applications.api.Handleba
   /* -------------------------------------------- */
   /** @override */
   async _prepareContext(options) {
-    const tree = await this.getContentTree();
-    this._refreshCategoryVisibility();
+    let tree = [];
+    try {
+      tree = await this.getContentTree();
+      this._refreshCategoryVisibility();
+    } catch(err) {
+      reportError(err, {retry: () => this._refreshAll()});
+    }
+    let maps = [];
+    try {
+      maps = (await this._getMaps()).map(m => ({id: m.id, title: m.title, url: m.url, scene: findMapScene(m.id)}));
+    } catch(err) {
+      logger.warn("Unable to retrieve the World Anvil maps", err);
+    }
+    const linkedWorlds = await this._getLinkedWorlds();
     return {
       world: this.anvil.world,
+      linkedWorlds: linkedWorlds.length > 1 ? linkedWorlds : [],
       tree: tree,
+      maps: maps,
       displayDraft: this._displayDraft,
       displayWIP: this._displayWIP
     }
@@ -116,7 +174,7 @@ export default class WorldAnvilBrowser extends foundry.applications.api.Handleba
     const uncategorized = categories.get( CATEGORY_ID.uncategorized );
 
     // Organize articles into their parent category
-    const entries = game.journal.filter(j => j.flags["world-anvil"]);
+    const entries = await getImportedEntries();
     for ( let article of articles ) {
 
       // Skip articles which should not be displayed
@@ -126,28 +184,20 @@ export default class WorldAnvilBrowser extends foundry.applications.api.Handleba
       // Check linked entry permissions
       article.entry = entries.find(e => e.getFlag("world-anvil", "articleId") === article.id);
       article.visibleByPlayers = article.entry?.ownership.default >= CONST.DOCUMENT_OWNERSHIP_LEVELS.OBSERVER;
+      article.syncStatus = this._getSyncStatus(article);
 
       // Get the category to which the article belongs
       const category = categories.get(article.category?.id) || uncategorized;
       category.unsortedArticles.push(article);
     }
 
-    // Sort articles within each category
+    // Sort articles within each category, in the order given to their entries
+    sortArticles(articles, categories);
     for ( let category of categories.values() ) {
-      category.articles = category.articleIds.reduce( (_articles, id) => {
-        const unsorted = category.unsortedArticles.find( a => a.id === id );
-        return unsorted ? [..._articles, unsorted] : _articles;
-      }, []);
-      
-      // Some may not be referenced (created after)
-      const unreferencedArticles = category.unsortedArticles.filter(a => !category.articles.find( a2 => a == a2) );
-      unreferencedArticles.sort( (a,b) => {
-        const titleA = a.title ?? "";
-        const titleB = b.title ?? "";
-        return titleA.localeCompare(titleB);
-      });
-      category.articles.push(...unreferencedArticles);
+      const displayed = new Map(category.unsortedArticles.map(a => [a.id, a]));
+      category.articles = category.sortedArticleIds.filter(id => displayed.has(id)).map(id => displayed.get(id));
     }
+    this._calculateSyncStatus(tree);
     return contentTree;
   }
 
@@ -160,14 +210,81 @@ export default class WorldAnvilBrowser extends foundry.applications.api.Handleba
    */
   async _getArticles() {
     if ( !this.articles ) {
-      const request = await this.anvil.getArticles();
+      const request = await this.anvil.getArticles({cached: true});
       this.articles = request.articles;
+      if ( request.cached ) this._refreshInBackground();
     }
     return this.articles;
   }
 
   /* -------------------------------------------- */
 
+  /**
+   * Get all World Anvil maps and cache them to this Application instance
+   * @return {Promise<object[]>}
+   * @private
+   */
+  async _getMaps() {
+    if ( !this.maps ) {
+      const request = await this.anvil.getMaps({cached: true});
+      this.maps = request.maps;
+    }
+    return this.maps;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * The browser was rendered from the persistent cache.
+   * Retrieve the current listings from World Anvil, and render again if anything changed in the meantime.
+   * The listings are discarded if the GM switched to another World before they were retrieved.
+   * @return {Promise<void>}
+   * @private
+   */
+  async _refreshInBackground() {
+    const worldId = this.anvil.worldId;
+    const signature = entities => entities.map(e => `${e.id}@${e.updateDate}`).join();
+    const previousArticles = signature(this.articles);
+    const previousCategories = signature([...this.categories.values()]);
+    const previousMaps = signature(this.maps ?? []);
+    try {
+      const {articles} = await this.anvil.getArticles({worldId});
+      const {categories} = await getCategories({cache: false, worldId});
+      await getTimelines({cache: false, worldId});
+      const {maps} = await this.anvil.getMaps({worldId});
+      if ( this.anvil.worldId !== worldId ) return;
+      this.articles = articles;
+      this.maps = maps;
+      const changed = (signature(articles) !== previousArticles) || (signature([...categories.values()]) !== previousCategories)
+        || (signature(maps) !== previousMaps);
+      if ( changed ) this.render();
+    } catch(err) {
+      logger.warn("Unable to refresh World Anvil content, displaying cached content", err);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the Worlds which are linked to this Foundry world, for the world switcher
+   * @return {Promise<{id: string, name: string, active: boolean}[]>}
+   * @private
+   */
+  async _getLinkedWorlds() {
+    const linkedWorlds = [];
+    for ( const worldId of this.anvil.worldIds ) {
+      try {
+        const world = await this.anvil.getWorld(worldId);
+        linkedWorlds.push({id: worldId, name: world.name, active: worldId === this.anvil.worldId});
+      } catch(err) {
+        logger.warn(`Unable to retrieve the linked World ${worldId}`, err);
+      }
+    }
+    return linkedWorlds;
+  }
+
+  /* -------------------------------------------- */
+
   bindEvent(selector, callback, {event="click"}={}) {
     const els = this.element.querySelectorAll(selector);
     els.forEach(el => el.addEventListener(event, callback.bind(this)) );
@@ -179,6 +296,27 @@ export default class WorldAnvilBrowser extends foundry.applications.api.Handleba
     this.bindEvent(".article-title", this.#onClickArticleTitle);
     this.bindEvent("button.world-anvil-control", this.#onClickControlButton);
     this.bindEvent(".collapsed-icon", this.#onClickCollapseFolder);
+    this.bindEvent("select.world-switch", this.#onChangeWorld, {event: "change"});
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Switch the browser to another linked World
+   * @private
+   */
+  async #onChangeWorld(event) {
+    const worldId = event.currentTarget.value;
+    try {
+      await this.anvil.getWorld(worldId);
+    } catch(err) {
+      return reportError(err);
+    }
+    this.anvil.worldId = worldId;
+    this.articles = undefined;
+    this.maps = undefined;
+    this.#firstInit = true;
+    return this.render({window: {title: this.title}});
   }
 
   /* -------------------------------------------- */
@@ -192,12 +330,17 @@ export default class WorldAnvilBrowser extends foundry.applications.api.Handleba
     const el = event.currentTarget.closest(".article");
 
     // Already imported entry
-    let entry = game.journal.get(el.dataset.entryId);
+    let entry = el.dataset.entryUuid ? await fromUuid(el.dataset.entryUuid) : null;
     if ( entry ) return entry.sheet.render(true);
 
     // New temporary entry
-    const article = await this.anvil.getArticle(el.dataset.articleId);
-    const content = await getArticleContent(article);
+    let article, content;
+    try {
+      article = await this.anvil.getArticle(el.dataset.articleId);
+      content = await getArticleContent(article);
+    } catch(err) {
+      return reportError(err);
+    }
     entry = new JournalEntry({
       name: article.title,
       content: content.html,
@@ -214,7 +357,22 @@ export default class WorldAnvilBrowser extends foundry.applications.api.Handleba
    */
   async #onClickControlButton(event) {
     const button = event.currentTarget;
-    const action = button.dataset.action;
+    try {
+      await this.#handleControlAction(button.dataset.action, button);
+    } catch(err) {
+      reportError(err);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Perform the action bound to a directory control button
+   * @param {string} action           The action name
+   * @param {HTMLElement} button      The clicked button
+   * @private
+   */
+  async #handleControlAction(action, button) {
     switch (action) {
 
       // Header control buttons
@@ -224,6 +382,10 @@ export default class WorldAnvilBrowser extends foundry.applications.api.Handleba
         return this._importCategory(this.tree);
       case "sync-all":
         return this._importCategory(this.tree, {sync: true} );
+      case "sync-changed":
+        return this._syncChanged();
+      case "reconcile":
+        return this._reconcile();
       case "toggle-drafts":
         this._displayDraft = !this._displayDraft;
         return this.render();
@@ -250,9 +412,15 @@ export default class WorldAnvilBrowser extends foundry.applications.api.Handleba
       case "sync-entry":
         return this._syncEntry(button.closest(".article").dataset.articleId);
       case "display-entry":
-        return this._displayEntry(button.closest(".article").dataset.entryId);
+        return this._displayEntry(button.closest(".article").dataset.entryUuid);
       case "hide-entry":
-        return this._hideEntry(button.closest(".article").dataset.entryId);
+        return this._hideEntry(button.closest(".article").dataset.entryUuid);
+
+      // Map control buttons
+      case "import-map":
+        return this._importMap(button.closest(".map").dataset.mapId);
+      case "view-map":
+        return findMapScene(button.closest(".map").dataset.mapId)?.view();
     }
   }
 
@@ -277,12 +445,15 @@ export default class WorldAnvilBrowser extends foundry.applications.api.Handleba
   /* -------------------------------------------- */
 
   /**
-   * Call WA to refresh the categories and the articles.
+   * Call WA to refresh the categories, the timelines, the articles and the maps, bypassing the persistent cache.
    * Category tree will be rebuild when render() is called
    */
    async _refreshAll() {
     await getCategories({cache: false});
-    this.articles = undefined;
+    await getTimelines({cache: false});
+    const request = await this.anvil.getArticles();
+    this.articles = request.articles;
+    this.maps = (await this.anvil.getMaps()).maps;
     this.render();
   }
 
@@ -309,6 +480,17 @@ export default class WorldAnvilBrowser extends foundry.applications.api.Handleba
 
   /* -------------------------------------------- */
 
+  /**
+   * Import or refresh an interactive map as a Scene
+   * @param {string} mapId          World Anvil map ID
+   */
+  async _importMap(mapId) {
+    await importMap(mapId);
+    this.render();
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Make every related article of a category visible. Let child category as they are
    * @param {string} categoryId WA category id
@@ -326,7 +508,7 @@ export default class WorldAnvilBrowser extends foundry.applications.api.Handleba
     });
 
     if( updates.length > 0 ) {
-      await JournalEntry.updateDocuments(updates, {diff: false, recursive: false, noHook: true});
+      await JournalEntry.updateDocuments(updates, {diff: false, recursive: false, noHook: true, ...getImportOptions()});
     }
     this.render();
   }
@@ -350,7 +532,7 @@ export default class WorldAnvilBrowser extends foundry.applications.api.Handleba
     });
 
     if( updates.length > 0 ) {
-      await JournalEntry.updateDocuments(updates, {diff: false, recursive: false, noHook: true});
+      await JournalEntry.updateDocuments(updates, {diff: false, recursive: false, noHook: true, ...getImportOptions()});
     }
     this.render();
   }
@@ -359,11 +541,11 @@ export default class WorldAnvilBrowser extends foundry.applications.api.Handleba
 
   /**
    * Make an article entry visibile for all players
-   * @param {string} entryId Foundry journal entry id
+   * @param {string} entryUuid Foundry journal entry uuid
    */
-   async _displayEntry(entryId) {
-    const entry = game.journal.find(j => j.id === entryId) ?? null;
-    if( !entry ) { throw 'Can\'t find journal entry with id : ' + entryId; }
+   async _displayEntry(entryUuid) {
+    const entry = await fromUuid(entryUuid);
+    if( !entry ) { throw 'Can\'t find journal entry with uuid : ' + entryUuid; }
 
     const perms = {
       default: CONST.DOCUMENT_OWNERSHIP_LEVELS.OBSERVER
@@ -377,11 +559,11 @@ export default class WorldAnvilBrowser extends foundry.applications.api.Handleba
 
   /**
    * Make an article entry hidden for all players
-   * @param {string} entryId Foundry journal entry id
+   * @param {string} entryUuid Foundry journal entry uuid
    */
-   async _hideEntry(entryId) {
-    const entry = game.journal.find(j => j.id === entryId) ?? null;
-    if( !entry ) { throw 'Can\'t find journal entry with id : ' + entryId; }
+   async _hideEntry(entryUuid) {
+    const entry = await fromUuid(entryUuid);
+    if( !entry ) { throw 'Can\'t find journal entry with uuid : ' + entryUuid; }
 
     const perms = {
       default: CONST.DOCUMENT_OWNERSHIP_LEVELS.NONE
@@ -395,18 +577,210 @@ export default class WorldAnvilBrowser extends foundry.applications.api.Handleba
 
   /**
    * Import all articles contained within a single Category.
+   * Articles are imported in parallel, with a progress window which allows cancelling the import.
+   * Failures do not interrupt the import, they are listed in the progress window once it is complete.
    * @param {Category} category           The Category for which we are importing content
    * @param {boolean} [sync=false]        Only sync articles which have already been imported
+   * @param {boolean} [changedOnly=false] Only sync articles which were updated on World Anvil since their last import
+   * @returns {Promise<number>}           The number of imported articles
    * @private
    */
-  async _importCategory( category, {sync=false} = {} ) {
-    ui.notifications.info(`Bulk importing articles in ${category.title}, please be patient.`);
-    const articles = this._getAllArticlesUnderCategory(category);
-    for ( const article of articles ) {
-      if ( sync && !article.entry ) continue;
-      await importArticle(article.id, {categories: this.categories, notify: false, renderSheet: false});
+  async _importCategory( category, {sync=false, changedOnly=false} = {} ) {
+    if ( this.#bulkProgress && !this.#bulkProgress.completed ) {
+      return ui.notifications.warn(game.i18n.localize("WA.Progress.AlreadyRunning"));
+    }
+    await reconcileCategoryFolders({worldId: this.anvil.worldId});
+    await reconcileEntrySort({articles: this.articles, categories: this.categories});
+    const articles = this._getAllArticlesUnderCategory(category).filter(article => {
+      if ( sync && !article.entry ) return false;
+      return !changedOnly || this._isArticleChanged(article);
+    });
+    return this._runBulkImport({
+      worldId: this.anvil.worldId,
+      categoryId: category.id,
+      label: game.i18n.format("WA.Progress.Label", {title: category.title}),
+      changedOnly,
+      total: articles.length,
+      remaining: articles.map(a => ({id: a.id, title: a.title})),
+      failures: []
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Import the remaining articles of a bulk import job.
+   * The job is saved after each article, so that it can be resumed if Foundry is reloaded before its end.
+   * @param {BulkImportJob} job           The bulk import job
+   * @returns {Promise<number>}           The number of imported articles
+   * @private
+   */
+  async _runBulkImport(job) {
+    const conflicts = {choices: new Map(), applyToAll: false};
+    await WorldAnvilBrowser.#saveJob(job);
+
+    // Display the progress window
+    const progress = this.#bulkProgress = new WorldAnvilProgress({label: job.label, total: job.total});
+    progress.done = job.total - job.remaining.length;
+    progress.failures = [...job.failures];
+    await progress.render(true);
+
+    // Each worker imports the next pending article, until none is left or the import is cancelled
+    const articles = [...job.remaining];
+    let imported = 0;
+    let next = 0;
+    const worker = async () => {
+      while ( (next < articles.length) && !progress.cancelled ) {
+        const article = articles[next++];
+        try {
+          await importArticle(article.id, {worldId: job.worldId, notify: false, cache: true, conflicts,
+            signal: progress.signal});
+          imported++;
+          progress.advance(article.title);
+        } catch(err) {
+          if ( err?.name === "AbortError" ) continue;
+          logger.error(`Failed to import article ${article.title}`, err);
+          progress.advance(article.title, err);
+          job.failures.push({title: article.title, message: err.message});
+        }
+        job.remaining = job.remaining.filter(a => a.id !== article.id);
+        if ( !progress.cancelled ) await WorldAnvilBrowser.#saveJob(job);
+      }
+    };
+    await Promise.all(Array.from({length: Math.min(BULK_CONCURRENCY, articles.length)}, worker));
+    await WorldAnvilBrowser.#saveJob(null);
+    await progress.complete();
+
+    if ( progress.cancelled || progress.failures.length ) return imported;
+    if ( job.changedOnly ) ui.notifications.info(game.i18n.format("WA.SyncChangedCompleted", {count: imported}));
+    else ui.notifications.info("Bulk article import completed successfully!");
+    return imported;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Offer to resume a bulk import which was interrupted, for example because Foundry was reloaded.
+   * @returns {Promise<void>}
+   */
+  async resumeInterruptedImport() {
+    const job = game.settings.get("world-anvil", "bulkImportJob");
+    if ( !job?.remaining?.length ) return;
+    if ( !this.anvil.worldIds.includes(job.worldId) ) return WorldAnvilBrowser.#saveJob(null);
+    const done = job.total - job.remaining.length;
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: {title: "WA.Progress.Resume"},
+      content: `<p>${game.i18n.format("WA.Progress.ResumeHint", {label: job.label, done, total: job.total})}</p>`
+    });
+    if ( !confirmed ) return WorldAnvilBrowser.#saveJob(null);
+    try {
+      await this._runBulkImport(job);
+    } catch(err) {
+      reportError(err);
     }
-    ui.notifications.info("Bulk article import completed successfully!")
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Save the state of the running bulk import, or forget it once the import is over
+   * @param {BulkImportJob|null} job      The bulk import job
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async #saveJob(job) {
+    await game.settings.set("world-anvil", "bulkImportJob", job ?? {});
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Sync only the imported articles which were updated on World Anvil since their last import.
+   * The article listing is retrieved again first, so that update dates are current.
+   * @returns {Promise<number>}           The number of updated articles
+   * @private
+   */
+  async _syncChanged() {
+    const request = await this.anvil.getArticles();
+    this.articles = request.articles;
+    await this.getContentTree();
+    return this._importCategory(this.tree, {sync: true, changedOnly: true});
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Find the entries and folders of the active World whose article or category no longer exists on World Anvil,
+   * and let the GM archive, unlink or delete them.
+   * Listings are retrieved again first, so that recently created content is not considered as orphaned.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _reconcile() {
+    const {articles} = await this.anvil.getArticles();
+    const {categories} = await getCategories({cache: false});
+    this.articles = articles;
+
+    // An empty listing more likely means the World could not be read than that everything was deleted
+    if ( !articles.length ) return ui.notifications.warn(game.i18n.localize("WA.Orphans.NoArticles"));
+    const orphans = await findOrphans({articles, categories, worldId: this.anvil.worldId});
+    if ( !orphans.entries.length && !orphans.folders.length ) {
+      ui.notifications.info(game.i18n.localize("WA.Orphans.None"));
+      return this.render();
+    }
+    return new WorldAnvilOrphans({orphans}).render(true);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Check whether an imported article was updated on World Anvil since it was last imported.
+   * Entries imported before update dates were recorded are always considered as changed.
+   * @param {Article} article             The listed article, with its linked entry
+   * @returns {boolean}
+   * @private
+   */
+  _isArticleChanged(article) {
+    if ( !article.entry ) return false;
+    return article.entry.getFlag("world-anvil", "updateDate") !== article.updateDate;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the sync status of an article, comparing the World Anvil update date and the local modification time
+   * with the timestamps stored on its entry at its last import.
+   * Local modifications take precedence, because syncing the article would overwrite them.
+   * @param {Article} article             The listed article, with its linked entry
+   * @returns {object|null}               A SYNC_STATUS value, or null if the article was not imported
+   * @private
+   */
+  _getSyncStatus(article) {
+    if ( !article.entry ) return null;
+    if ( isEntryModifiedLocally(article.entry) ) return SYNC_STATUS.modified;
+    if ( this._isArticleChanged(article) ) return SYNC_STATUS.changed;
+    return SYNC_STATUS.current;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Recursive
+   * Set .syncStatus to the most urgent status among the imported articles of a category and its subcategories
+   * @param {object} node Category tree branch. Can be the root element
+   * @returns {object|null}               The category status, or null if none of its articles were imported
+   * @private
+   */
+  _calculateSyncStatus( node ) {
+    const order = Object.values(SYNC_STATUS);
+    const statuses = [
+      ...node.children.map(child => this._calculateSyncStatus(child)),
+      ...(node.articles || []).map(a => a.syncStatus)
+    ].filter(s => s);
+    node.syncStatus = statuses.reduce((worst, s) => {
+      return (!worst || (order.indexOf(s) > order.indexOf(worst))) ? s : worst;
+    }, null);
+    return node.syncStatus;
   }
 
   /* -------------------------------------------- */
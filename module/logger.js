@@ -0,0 +1,68 @@
+/**
+ * Values which must never be written to the console, such as the user authentication token
+ * @type {Set<string>}
+ */
+const secrets = new Set();
+
+/**
+ * The replacement written instead of a secret value
+ * @type {string}
+ */
+const REDACTED = "[REDACTED]";
+
+/**
+ * Credentials which may appear as query parameters in a logged URL
+ * @type {RegExp}
+ */
+const CREDENTIAL_PARAMS = /(x-(?:auth-token|application-key)=)[^&\s]+/gi;
+
+/* -------------------------------------------- */
+
+/**
+ * Register a value which should be redacted from every log message
+ * @param {string} secret     The secret value
+ */
+export function registerSecret(secret) {
+  if ( secret ) secrets.add(secret);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Remove every registered secret and credential parameter from a text
+ * @param {string} text       The text to redact
+ * @return {string}           The redacted text
+ */
+export function redact(text) {
+  let result = String(text);
+  for ( const secret of secrets ) result = result.replaceAll(secret, REDACTED);
+  return result.replace(CREDENTIAL_PARAMS, `$1${REDACTED}`);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Write redacted arguments to the console, with the module prefix
+ * @param {string} method     The console method
+ * @param {any[]} args        The logged arguments
+ * @private
+ */
+function _write(method, args) {
+  const redacted = args.map(arg => {
+    if ( typeof arg === "string" ) return redact(arg);
+    if ( arg instanceof Error ) return redact(arg.stack ?? arg.message);
+    return arg;
+  });
+  console[method]("World Anvil |", ...redacted);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * A console logger which never exposes the World Anvil credentials
+ */
+export const logger = {
+  log: (...args) => _write("log", args),
+  warn: (...args) => _write("warn", args),
+  error: (...args) => _write("error", args)
+};
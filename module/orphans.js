@@ -0,0 +1,132 @@
+import {archiveOrphans, unlinkOrphans, deleteOrphans} from "./framework.js";
+import {reportError} from "./errors.js";
+
+/**
+ * A window listing the imported entries and folders which are no longer linked to World Anvil content,
+ * and archiving, unlinking or deleting them in bulk
+ */
+export default class WorldAnvilOrphans extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+  /**
+   * @param {object} options
+   * @param {Orphans} options.orphans       The orphaned entries and folders
+   */
+  constructor({orphans, ...options}) {
+    super(options);
+
+    /**
+     * The orphaned entries and folders
+     * @type {Orphans}
+     */
+    this.orphans = orphans;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "world-anvil-orphans",
+    classes: ["world-anvil", "wa-orphans"],
+    tag: "form",
+    position: {
+      width: 520,
+      height: "auto"
+    },
+    window: {
+      title: "WA.Orphans.Title",
+      contentClasses: ["standard-form"],
+      icon: "fas fa-unlink"
+    },
+    actions: {
+      archive: WorldAnvilOrphans.#onAction,
+      unlink: WorldAnvilOrphans.#onAction,
+      delete: WorldAnvilOrphans.#onAction
+    }
+  }
+
+  /** @override */
+  static PARTS = {
+    main: {
+      template: "modules/world-anvil/templates/orphans.hbs"
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _prepareContext(_options) {
+    return {
+      entries: this.orphans.entries.map(e => ({id: e.id, name: e.name, folder: e.folder?.name})),
+      folders: this.orphans.folders.map(f => ({id: f.id, name: f.name}))
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the orphans which are checked in the form
+   * @returns {Orphans}
+   * @private
+   */
+  _getSelection() {
+    const checked = name => Array.from(this.element.querySelectorAll(`input[name="${name}"]:checked`)).map(i => i.value);
+    const entryIds = checked("entries");
+    const folderIds = checked("folders");
+    return {
+      entries: this.orphans.entries.filter(e => entryIds.includes(e.id)),
+      folders: this.orphans.folders.filter(f => folderIds.includes(f.id))
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Archive, unlink or delete the selected orphans
+   * @this {WorldAnvilOrphans}
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @private
+   */
+  static async #onAction(event, target) {
+    const action = target.dataset.action;
+    const selection = this._getSelection();
+    const count = selection.entries.length + selection.folders.length;
+    if ( !count ) return ui.notifications.warn(game.i18n.localize("WA.Orphans.NoSelection"));
+
+    // Deletion cannot be undone
+    if ( action === "delete" ) {
+      const confirmed = await foundry.applications.api.DialogV2.confirm({
+        window: {title: "WA.Orphans.Delete"},
+        content: `<p>${game.i18n.format("WA.Orphans.DeleteConfirm", {
+          entries: selection.entries.length,
+          folders: selection.folders.length
+        })}</p>`
+      });
+      if ( !confirmed ) return;
+    }
+
+    try {
+      switch ( action ) {
+        case "archive":
+          await archiveOrphans(selection);
+          break;
+        case "unlink":
+          await unlinkOrphans(selection);
+          break;
+        case "delete":
+          await deleteOrphans(selection);
+          break;
+      }
+    } catch(err) {
+      return reportError(err);
+    }
+    ui.notifications.info(game.i18n.format("WA.Orphans.Done", {count}));
+
+    // Forget processed orphans
+    this.orphans.entries = this.orphans.entries.filter(e => !selection.entries.includes(e));
+    this.orphans.folders = this.orphans.folders.filter(f => !selection.folders.includes(f));
+    const browser = game.modules.get("world-anvil").browser;
+    if ( browser.rendered ) browser.render();
+    if ( !this.orphans.entries.length && !this.orphans.folders.length ) return this.close();
+    return this.render();
+  }
+}
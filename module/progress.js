@@ -0,0 +1,185 @@
+/**
+ * @typedef {Object} BulkFailure
+ * @property {string} title           The title of the article which could not be imported
+ * @property {string} message         The error message
+ */
+
+/**
+ * A window displaying the progress of a bulk import, which allows cancelling it,
+ * and reports the articles which failed once the import is complete
+ */
+export default class WorldAnvilProgress extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+  /**
+   * @param {object} options
+   * @param {string} options.label      A description of the bulk operation
+   * @param {number} options.total      The number of articles to import
+   */
+  constructor({label, total, ...options}) {
+
+    // Each operation has its own window, so that several operations may run at once
+    super({id: `world-anvil-progress-${foundry.utils.randomID()}`, ...options});
+
+    /**
+     * A description of the bulk operation
+     * @type {string}
+     */
+    this.label = label;
+
+    /**
+     * The number of articles to import
+     * @type {number}
+     */
+    this.total = total;
+  }
+
+  /**
+   * The number of articles which were processed, successfully or not
+   * @type {number}
+   */
+  done = 0;
+
+  /**
+   * Whether the GM cancelled the operation
+   * @type {boolean}
+   */
+  cancelled = false;
+
+  /**
+   * Whether the operation is complete
+   * @type {boolean}
+   */
+  completed = false;
+
+  /**
+   * The articles which could not be imported
+   * @type {BulkFailure[]}
+   */
+  failures = [];
+
+  /**
+   * The controller which aborts the World Anvil requests of this operation
+   * @type {AbortController}
+   */
+  #controller = new AbortController();
+
+  /* -------------------------------------------- */
+
+  /**
+   * A signal which is aborted when the GM cancels the operation, to be passed to its World Anvil requests
+   * @type {AbortSignal}
+   */
+  get signal() {
+    return this.#controller.signal;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    classes: ["world-anvil", "wa-progress"],
+    position: {
+      width: 480,
+      height: "auto"
+    },
+    window: {
+      title: "WA.Progress.Title",
+      icon: "fas fa-file-import"
+    },
+    actions: {
+      cancel: WorldAnvilProgress.#onCancel
+    }
+  }
+
+  /** @override */
+  static PARTS = {
+    main: {
+      template: "modules/world-anvil/templates/progress.hbs"
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _prepareContext(_options) {
+    return {
+      label: this.label,
+      count: this.#formatCount(),
+      done: this.done,
+      total: this.total,
+      cancelled: this.cancelled,
+      completed: this.completed,
+      failures: this.failures
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Record that an article was processed, and update the progress bar
+   * @param {string} title              The title of the processed article
+   * @param {Error} [error]             The error raised while importing the article, if it failed
+   */
+  advance(title, error) {
+    this.done++;
+    if ( error ) this.failures.push({title, message: error.message});
+    const element = this.element;
+    if ( !element ) return;
+    element.querySelector("progress").value = this.done;
+    element.querySelector(".progress-count").textContent = this.#formatCount();
+    element.querySelector(".progress-current").textContent = title;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Mark the operation as complete and display its report
+   * @return {Promise<void>}
+   */
+  async complete() {
+    this.completed = true;
+    if ( this.rendered ) await this.render();
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  _onClose(options) {
+    super._onClose(options);
+    if ( !this.completed ) this.#cancel();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * @return {string}                   The localized number of processed articles, such as "312 / 1,204"
+   * @private
+   */
+  #formatCount() {
+    const lang = game.i18n.lang;
+    return `${this.done.toLocaleString(lang)} / ${this.total.toLocaleString(lang)}`;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Stop starting new imports, and abort the running World Anvil requests of this operation
+   * @private
+   */
+  #cancel() {
+    if ( this.cancelled ) return;
+    this.cancelled = true;
+    this.#controller.abort(new DOMException("The operation was cancelled", "AbortError"));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Handle clicks on the Cancel button
+   * @this {WorldAnvilProgress}
+   * @private
+   */
+  static #onCancel() {
+    this.#cancel();
+    this.render();
+  }
+}
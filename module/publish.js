@@ -0,0 +1,132 @@
+import {getCategories, publishEntry, CATEGORY_ID} from "./framework.js";
+import {reportError} from "./errors.js";
+
+/**
+ * The World Anvil templates which may be chosen for a published article, and their localization keys
+ * @type {Record<string, string>}
+ */
+const ARTICLE_TEMPLATES = {
+  article: "WA.Publish.Templates.Article",
+  person: "WA.Publish.Templates.Person",
+  location: "WA.Publish.Templates.Location",
+  settlement: "WA.Publish.Templates.Settlement",
+  organization: "WA.Publish.Templates.Organization",
+  species: "WA.Publish.Templates.Species",
+  ethnicity: "WA.Publish.Templates.Ethnicity",
+  item: "WA.Publish.Templates.Item",
+  document: "WA.Publish.Templates.Document",
+  landmark: "WA.Publish.Templates.Landmark",
+  myth: "WA.Publish.Templates.Myth",
+  tradition: "WA.Publish.Templates.Tradition",
+  condition: "WA.Publish.Templates.Condition",
+  plot: "WA.Publish.Templates.Plot",
+  report: "WA.Publish.Templates.Report",
+  prose: "WA.Publish.Templates.Prose"
+};
+
+/**
+ * A form creating a World Anvil article from a Foundry journal entry, in the category and template chosen by the GM
+ */
+export default class WorldAnvilPublish extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+  /**
+   * @param {object} options
+   * @param {JournalEntry} options.entry    The JournalEntry to publish
+   */
+  constructor({entry, ...options}) {
+    super({id: `world-anvil-publish-${entry.id}`, ...options});
+
+    /**
+     * The JournalEntry to publish
+     * @type {JournalEntry}
+     */
+    this.entry = entry;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    classes: ["world-anvil", "wa-publish"],
+    tag: "form",
+    position: {
+      width: 440,
+      height: "auto"
+    },
+    window: {
+      contentClasses: ["standard-form"],
+      icon: "fas fa-cloud-upload-alt"
+    },
+    form: {
+      closeOnSubmit: true,
+      handler: WorldAnvilPublish.#onSubmit
+    }
+  }
+
+  /** @override */
+  static PARTS = {
+    main: {
+      template: "modules/world-anvil/templates/publish.hbs"
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  get title() {
+    return game.i18n.format("WA.Publish.Title", {name: this.entry.name});
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _prepareContext(_options) {
+    const anvil = game.modules.get("world-anvil").anvil;
+    const {tree} = await getCategories();
+
+    // List categories depth first, indented below their parent
+    const categories = [];
+    const walk = (node, depth) => {
+      for ( const child of node.children ?? [] ) {
+        if ( child.id === CATEGORY_ID.uncategorized ) continue;
+        categories.push({value: child.id, label: `${" ".repeat(depth)}${child.title}`});
+        walk(child, depth + 1);
+      }
+    };
+    walk(tree, 0);
+    categories.unshift({value: "", label: game.i18n.localize("WA.CategoryUncategorized")});
+
+    const folderCategory = this.entry.folder?.getFlag("world-anvil", "categoryId");
+    return {
+      world: anvil.world?.name,
+      categories,
+      category: categories.some(c => c.value === folderCategory) ? folderCategory : "",
+      templates: ARTICLE_TEMPLATES,
+      template: "article"
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Create the article with the chosen category and template
+   * @this {WorldAnvilPublish}
+   * @param {SubmitEvent} event
+   * @param {HTMLFormElement} form
+   * @param {FormDataExtended} formData
+   * @private
+   */
+  static async #onSubmit(event, form, formData) {
+    const {categoryId, templateType} = formData.object;
+    const publish = () => publishEntry(this.entry, {categoryId, templateType});
+    try {
+      await publish();
+    } catch(err) {
+
+      // Once the entry is linked, the article was created: publishing it again would create a duplicate
+      const created = !!this.entry.getFlag("world-anvil", "articleId");
+      return reportError(err, created ? {} : {retry: publish});
+    }
+    const browser = game.modules.get("world-anvil").browser;
+    if ( browser.rendered ) browser.render();
+  }
+}
@@ -0,0 +1,114 @@
+import {restoreRevision} from "./framework.js";
+import {reportError} from "./errors.js";
+
+/**
+ * A window listing the previously imported revisions of a World Anvil journal entry, and restoring them
+ */
+export default class WorldAnvilRevisions extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+  /**
+   * @param {object} options
+   * @param {JournalEntry} options.entry    The imported JournalEntry
+   */
+  constructor({entry, ...options}) {
+    super({id: `world-anvil-revisions-${entry.id}`, ...options});
+
+    /**
+     * The imported JournalEntry
+     * @type {JournalEntry}
+     */
+    this.entry = entry;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    classes: ["world-anvil", "wa-revisions"],
+    position: {
+      width: 600,
+      height: "auto"
+    },
+    window: {
+      icon: "fas fa-history"
+    },
+    actions: {
+      view: WorldAnvilRevisions.#onView,
+      restore: WorldAnvilRevisions.#onRestore
+    }
+  }
+
+  /** @override */
+  static PARTS = {
+    main: {
+      template: "modules/world-anvil/templates/revisions.hbs"
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  get title() {
+    return game.i18n.format("WA.Revisions.Title", {name: this.entry.name});
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _prepareContext(_options) {
+    const revisions = this.entry.getFlag("world-anvil", "revisions") ?? [];
+    return {
+      revisions: revisions.map((r, index) => ({
+        index,
+        name: r.name,
+        syncedAt: r.syncedAt ? new Date(r.syncedAt).toLocaleString() : game.i18n.localize("WA.Revisions.Unknown"),
+        updateDate: r.updateDate ?? game.i18n.localize("WA.Revisions.Unknown"),
+        pages: r.pages.map(p => ({
+          name: p.name,
+          isImage: p.type === "image",
+          src: p.src,
+          content: p.text?.content
+        }))
+      }))
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Show or hide the content of a revision
+   * @this {WorldAnvilRevisions}
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @private
+   */
+  static #onView(event, target) {
+    const content = this.element.querySelector(`.revision-content[data-index="${target.dataset.index}"]`);
+    content.classList.toggle("hidden");
+    this.setPosition({height: "auto"});
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Restore a revision, after confirmation
+   * @this {WorldAnvilRevisions}
+   * @param {PointerEvent} event
+   * @param {HTMLElement} target
+   * @private
+   */
+  static async #onRestore(event, target) {
+    const index = Number(target.dataset.index);
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: {title: "WA.Revisions.Restore"},
+      content: `<p>${game.i18n.localize("WA.Revisions.RestoreConfirm")}</p>`
+    });
+    if ( !confirmed ) return;
+    try {
+      await restoreRevision(this.entry, index);
+      ui.notifications.info(game.i18n.format("WA.Revisions.Restored", {name: this.entry.name}));
+      this.render();
+    } catch(err) {
+      reportError(err);
+    }
+  }
+}
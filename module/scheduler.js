@@ -0,0 +1,232 @@
+import {logger} from "./logger.js";
+
+/**
+ * HTTP status codes which are considered transient and worth retrying
+ * @type {number[]}
+ */
+const RETRYABLE_STATUS = [500, 502, 503, 504];
+
+/**
+ * A request queue which schedules every call made to the World Anvil API.
+ * It caps the number of concurrent requests, pauses when World Anvil answers with 429 Too Many Requests,
+ * and retries transient server and network failures with an exponential backoff.
+ * Requests which are not idempotent are only retried when they were rate limited, since World Anvil may have
+ * processed them before a server or network failure.
+ */
+export default class RequestScheduler {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.concurrency=4]    The maximum number of requests running at the same time
+   * @param {number} [options.maxRetries=5]     The maximum number of retries for a single request
+   * @param {number} [options.retryDelay=1000]  The initial backoff delay in milliseconds, doubled on each retry
+   */
+  constructor({concurrency=4, maxRetries=5, retryDelay=1000}={}) {
+
+    /**
+     * The maximum number of requests running at the same time
+     * @type {number}
+     */
+    this.concurrency = concurrency;
+
+    /**
+     * The maximum number of retries for a single request
+     * @type {number}
+     */
+    this.maxRetries = maxRetries;
+
+    /**
+     * The initial backoff delay in milliseconds
+     * @type {number}
+     */
+    this.retryDelay = retryDelay;
+  }
+
+  /**
+   * Requests which are waiting for a free slot
+   * @type {{request: function, retry: boolean, resolve: function, reject: function, signal: AbortSignal}[]}
+   */
+  #pending = [];
+
+  /**
+   * The number of requests currently running
+   * @type {number}
+   */
+  #running = 0;
+
+  /**
+   * The controller used to abort every scheduled request at once
+   * @type {AbortController}
+   */
+  #controller = new AbortController();
+
+  /**
+   * A timestamp before which no request should be submitted, set when World Anvil rate limits us
+   * @type {number}
+   */
+  #resumeAt = 0;
+
+  /* -------------------------------------------- */
+
+  /**
+   * The number of requests which are either running or waiting to be run
+   * @type {number}
+   */
+  get size() {
+    return this.#pending.length + this.#running;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Schedule a request.
+   * @param {function(AbortSignal): Promise<Response>} request   A function which submits the request, using the provided signal
+   * @param {object} [options]
+   * @param {boolean} [options.retry=true]  Whether server and network failures are retried. Disable it for requests
+   *                                        which are not idempotent
+   * @param {AbortSignal} [options.signal]  A signal which aborts this request, whether it is running or still pending
+   * @return {Promise<Response>}    The final response, once retries have been exhausted or were not needed
+   */
+  schedule(request, {retry=true, signal}={}) {
+    return new Promise((resolve, reject) => {
+      if ( signal?.aborted ) return reject(signal.reason);
+      const task = {request, retry, resolve, reject, signal: this.#controller.signal};
+      if ( signal ) {
+        task.signal = AbortSignal.any([task.signal, signal]);
+        signal.addEventListener("abort", () => {
+          const index = this.#pending.indexOf(task);
+          if ( index === -1 ) return;
+          this.#pending.splice(index, 1);
+          reject(signal.reason);
+        }, {once: true});
+      }
+      this.#pending.push(task);
+      this.#next();
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Cancel every running and pending request.
+   * Their promises are rejected with an AbortError. Requests scheduled afterwards are not affected.
+   */
+  cancel() {
+    const error = new DOMException("World Anvil requests were cancelled", "AbortError");
+    this.#controller.abort(error);
+    for ( const task of this.#pending.splice(0) ) task.reject(error);
+    this.#controller = new AbortController();
+    this.#resumeAt = 0;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Start pending requests while there are free slots
+   * @private
+   */
+  #next() {
+    while ( (this.#running < this.concurrency) && this.#pending.length ) {
+      const task = this.#pending.shift();
+      this.#running++;
+      this.#run(task).then(task.resolve, task.reject).finally(() => {
+        this.#running--;
+        this.#next();
+      });
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Run a single request, retrying it as long as the failure is transient
+   * @param {object} task     The scheduled task
+   * @return {Promise<Response>}
+   * @private
+   */
+  async #run({request, retry, signal}) {
+    for ( let attempt = 0; ; attempt++ ) {
+      await this.#wait(this.#resumeAt - Date.now(), signal);
+      const canRetry = attempt < this.maxRetries;
+
+      // Network failures
+      let response;
+      try {
+        response = await request(signal);
+      } catch(err) {
+        if ( signal.aborted || !retry || !canRetry ) throw err;
+        logger.warn(`Request failed, retrying (${attempt + 1}/${this.maxRetries}): ${err.message}`);
+        await this.#wait(this.#backoff(attempt), signal);
+        continue;
+      }
+
+      // Rate limiting: pause the whole queue
+      if ( (response.status === 429) && canRetry ) {
+        const delay = RequestScheduler.#parseRetryAfter(response.headers.get("Retry-After")) ?? this.#backoff(attempt);
+        this.#resumeAt = Math.max(this.#resumeAt, Date.now() + delay);
+        logger.warn(`Rate limited, pausing requests for ${Math.ceil(delay / 1000)}s`);
+        continue;
+      }
+
+      // Transient server errors
+      if ( RETRYABLE_STATUS.includes(response.status) && retry && canRetry ) {
+        logger.warn(`Server error ${response.status}, retrying (${attempt + 1}/${this.maxRetries})`);
+        await this.#wait(this.#backoff(attempt), signal);
+        continue;
+      }
+      return response;
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Exponential backoff delay, with some jitter so that parallel requests do not retry together
+   * @param {number} attempt      The number of attempts already made
+   * @return {number}             A delay in milliseconds
+   * @private
+   */
+  #backoff(attempt) {
+    return this.retryDelay * (2 ** attempt) * (1 + Math.random() / 2);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Wait for a certain time, unless the signal is aborted first
+   * @param {number} ms             The delay in milliseconds
+   * @param {AbortSignal} signal    The signal which interrupts the wait
+   * @return {Promise<void>}
+   * @private
+   */
+  #wait(ms, signal) {
+    if ( signal.aborted ) return Promise.reject(signal.reason);
+    if ( ms <= 0 ) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timeout);
+        reject(signal.reason);
+      };
+      const timeout = setTimeout(() => {
+        signal.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      signal.addEventListener("abort", onAbort, {once: true});
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Read a Retry-After header, which is either a number of seconds or an HTTP date
+   * @param {string|null} value     The header value
+   * @return {number|null}          A delay in milliseconds, or null if the header is absent or invalid
+   * @private
+   */
+  static #parseRetryAfter(value) {
+    if ( !value ) return null;
+    const seconds = Number(value);
+    if ( Number.isFinite(seconds) ) return seconds * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+}
@@ -0,0 +1,63 @@
+import {after, before, beforeEach, describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {resetWorld} from "./harness/foundry.js";
+import {setupModule} from "./harness/world-anvil.js";
+
+/**
+ * The World of the test archives, which is not linked
+ * @type {string}
+ */
+const ARCHIVE_WORLD_ID = "5e3a7d10-0000-4000-8000-00000000b001";
+
+/**
+ * Import articles of a World Anvil export archive, whose content is untrusted
+ */
+describe("importArchiveArticle", () => {
+  let framework;
+  let stop;
+  let WorldAnvilArchive;
+
+  before(async () => {
+    ({framework, stop} = await setupModule());
+    ({default: WorldAnvilArchive} = await import("../module/archive.js"));
+  });
+  after(() => stop());
+  beforeEach(() => resetWorld());
+
+  /**
+   * Import an archived article
+   * @param {object} article          The archived article data
+   * @return {Promise<JournalEntry>}
+   */
+  async function importArchived(article) {
+    const archive = new WorldAnvilArchive({
+      world: {id: ARCHIVE_WORLD_ID, name: "Archived Harbour"},
+      categories: [],
+      articles: [{id: "b0000000-0000-4000-8000-00000000b101", title: "Archived", content: "Text", ...article}]
+    });
+    const {categories} = await framework.getCategories({worldId: ARCHIVE_WORLD_ID, archive, cache: false});
+    return framework.importArchiveArticle(archive, "b0000000-0000-4000-8000-00000000b101", {categories});
+  }
+
+  it("keeps the http(s) URL of the article", async () => {
+    const entry = await importArchived({url: "https://www.worldanvil.com/w/archived/a/archived"});
+    assert.equal(entry.getFlag("world-anvil", "articleURL"), "https://www.worldanvil.com/w/archived/a/archived");
+  });
+
+  it("drops an article URL which is not http(s)", async () => {
+    const entry = await importArchived({url: "javascript:alert(document.cookie)"});
+    assert.equal(entry.getFlag("world-anvil", "articleURL"), null);
+  });
+
+  it("escapes the ids and titles of archived sections", async () => {
+    const id = `x"><img onerror=alert(1)>`;
+    const entry = await importArchived({
+      sections: {[id]: {title: "<b>Bold</b>", content: "Eyes", contentParsed: "Eyes"}}
+    });
+    const page = document.createElement("div");
+    page.innerHTML = entry.pages.getName("Side contents").text.content;
+    assert.equal(page.querySelectorAll("img, b").length, 0);
+    assert.equal(page.querySelector("section").dataset.sectionId, id);
+    assert.equal(page.querySelector("dt").textContent, "<b>Bold</b>");
+  });
+});
@@ -0,0 +1,126 @@
+import {after, before, describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {ARTICLE_ID, CATEGORY_ID, WORLD_ID, setupModule} from "./harness/world-anvil.js";
+
+let framework;
+let stop;
+
+before(async () => ({framework, stop} = await setupModule()));
+after(() => stop());
+
+/* -------------------------------------------- */
+
+describe("getCategories", () => {
+  it("builds the category tree of the World under a root category", async () => {
+    const {categories, tree} = await framework.getCategories({worldId: WORLD_ID});
+    assert.equal(tree.id, "root");
+    assert.equal(tree.title, "[WA] Mock Harbour");
+    assert.deepEqual(tree.children.map(c => c.title), ["People", "Places", "Uncategorized Articles"]);
+
+    const guilds = categories.get(CATEGORY_ID.guilds);
+    assert.equal(guilds.parent, categories.get(CATEGORY_ID.people));
+    assert.deepEqual(categories.get(CATEGORY_ID.people).children, [guilds]);
+    for ( const category of categories.values() ) assert.equal(category.worldId, WORLD_ID);
+  });
+
+  it("returns the cached category mapping unless asked to refresh it", async () => {
+    const {categories} = await framework.getCategories({worldId: WORLD_ID});
+    assert.equal((await framework.getCategories({worldId: WORLD_ID})).categories, categories);
+
+    const {categories: refreshed} = await framework.getCategories({worldId: WORLD_ID, cache: false});
+    assert.notEqual(refreshed, categories);
+    assert.deepEqual(Array.from(refreshed.keys()), Array.from(categories.keys()));
+    assert.equal((await framework.getCategories({worldId: WORLD_ID})).categories, refreshed);
+  });
+});
+
+/* -------------------------------------------- */
+
+describe("sortArticles", () => {
+  it("orders listed articles first, then by position and title", async () => {
+    const {categories} = await framework.getCategories({worldId: WORLD_ID});
+    const people = categories.get(CATEGORY_ID.people);
+    const category = {id: CATEGORY_ID.people};
+    const articles = [
+      {id: "zed", title: "Zed", position: 1, category},
+      {id: "bea", title: "Bea", position: 2, category},
+      {id: "amy", title: "Amy", position: 1, category},
+      {id: "listed", title: "Listed", position: 9, category},
+      {id: "loose", title: "Loose", position: 0}
+    ];
+    const articleIds = people.articleIds;
+    people.articleIds = ["listed"];
+    try {
+      framework.sortArticles(articles, categories);
+    } finally {
+      people.articleIds = articleIds;
+    }
+    assert.deepEqual(people.sortedArticleIds, ["listed", "amy", "zed", "bea"]);
+    assert.deepEqual(categories.get("uncategorized").sortedArticleIds, ["loose"]);
+    assert.deepEqual(categories.get(CATEGORY_ID.places).sortedArticleIds, []);
+
+    const density = CONST.SORT_INTEGER_DENSITY;
+    assert.equal(framework.getArticleSort(articles[2], people), 2 * density);
+    assert.equal(framework.getArticleSort({id: "new", position: 3}, people), 8 * density);
+  });
+});
+
+/* -------------------------------------------- */
+
+describe("getArticleSort", () => {
+  it("orders the articles listed by their category first, then by position", () => {
+    const category = {articleIds: ["first", "second"]};
+    const density = CONST.SORT_INTEGER_DENSITY;
+    assert.equal(framework.getArticleSort({id: "second", position: 0}, category), 2 * density);
+    assert.equal(framework.getArticleSort({id: "other", position: 3}, category), 6 * density);
+    assert.equal(framework.getArticleSort({id: "loose", position: 1}), 2 * density);
+  });
+});
+
+/* -------------------------------------------- */
+
+describe("parsedContentToHTML", () => {
+  it("turns article links into content links", () => {
+    const html = framework.parsedContentToHTML(`Ask <a class="article-link" href="https://www.worldanvil.com/a" `
+      + `data-article-id="${ARTICLE_ID.mirela}">Mirela</a>`);
+    assert.equal(html, `Ask <span class="article-link entity-link wa-link" data-article-id="${ARTICLE_ID.mirela}">`
+      + "Mirela</span>");
+  });
+
+  it("splits paragraphs at line spacers", () => {
+    const html = framework.parsedContentToHTML(`<p>One<span class="line-spacer"></span>Two</p>`);
+    assert.equal(html, "<p>One</p>\n<p>Two</p>");
+  });
+
+  it("resolves relative image sources and unwraps linked images", () => {
+    const html = framework.parsedContentToHTML(`<a href="/full.png"><img src="/uploads/a.png" alt="A"></a>`);
+    assert.equal(html, `<img src="https://worldanvil.com/uploads/a.png" alt="A" title="" style="">`);
+  });
+
+  it("substitutes article blocks with the main page of their article", () => {
+    const blocks = new Map([[ARTICLE_ID.lanternGuild, "<p>Lights</p>"]]);
+    const html = framework.parsedContentToHTML(`WA-BLOCK-DELIMITER${ARTICLE_ID.lanternGuild}WA-BLOCK-DELIMITER`
+      + `WA-BLOCK-DELIMITER${ARTICLE_ID.lighthouse}WA-BLOCK-DELIMITER`, blocks);
+    assert.match(html, new RegExp(`^<div class="wa-article-block" data-article-id="${ARTICLE_ID.lanternGuild}">`
+      + "<p>Lights</p></div>"));
+    assert.match(html, new RegExp(`<span class="wa-link wa-article-block" data-article-id="${ARTICLE_ID.lighthouse}">`));
+  });
+});
+
+/* -------------------------------------------- */
+
+describe("getTimelines", () => {
+  it("orders the history entries of each timeline by date", async () => {
+    const timelines = await framework.getTimelines({worldId: WORLD_ID});
+    assert.deepEqual(Array.from(timelines.values()).map(t => t.title), ["Harbour Chronicle"]);
+
+    const [founding, storm] = timelines.values().next().value.entries;
+    assert.equal(founding.title, "Founding of the Lantern Guild");
+    assert.deepEqual({year: founding.startDate.year, label: founding.startDate.label}, {year: 1120, label: "On year 1120"});
+    assert.equal(storm.title, "The Great Storm");
+    assert.deepEqual([storm.startDate.year, storm.startDate.month, storm.startDate.day], [1204, 3, 12]);
+    assert.ok(storm.startDate.numericValue > founding.startDate.numericValue);
+    assert.deepEqual(storm.significance, {level: 1, label: "Major event"});
+    assert.equal(storm.relatedArticleId, ARTICLE_ID.lighthouse);
+  });
+});
@@ -0,0 +1,543 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import {fileURLToPath} from "node:url";
+import {JSDOM} from "jsdom";
+import Handlebars from "handlebars";
+
+/**
+ * The root directory of the module
+ * @type {string}
+ */
+export const MODULE_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+/**
+ * Headless stubs of the Foundry VTT client globals which are used by the import framework.
+ * Documents are kept in memory, and only implement the part of the Document API which the module uses.
+ */
+
+/* -------------------------------------------- */
+/*  Utilities                                   */
+/* -------------------------------------------- */
+
+/**
+ * Whether a value is a plain object, as opposed to an array, a class instance or a primitive
+ * @param {*} value
+ * @return {boolean}
+ */
+function isPlainObject(value) {
+  return !!value && (Object.getPrototypeOf(value) === Object.prototype);
+}
+
+/**
+ * A subset of foundry.utils
+ */
+const utils = {
+  deepClone: value => structuredClone(value),
+
+  getProperty(object, key) {
+    if ( !key || !object ) return undefined;
+    if ( key in object ) return object[key];
+    return key.split(".").reduce((target, part) => target?.[part], object);
+  },
+
+  setProperty(object, key, value) {
+    const parts = key.split(".");
+    const last = parts.pop();
+    let target = object;
+    for ( const part of parts ) target = target[part] ??= {};
+    target[last] = value;
+    return true;
+  },
+
+  expandObject(object) {
+    const expanded = {};
+    for ( const [key, value] of Object.entries(object) ) {
+      utils.setProperty(expanded, key, isPlainObject(value) ? utils.expandObject(value) : value);
+    }
+    return expanded;
+  },
+
+  mergeObject(original, other={}, {recursive=true, performDeletions=true}={}) {
+    for ( const [key, value] of Object.entries(utils.expandObject(other)) ) {
+      if ( performDeletions && key.startsWith("-=") ) {
+        delete original[key.slice(2)];
+        continue;
+      }
+      if ( recursive && isPlainObject(value) && isPlainObject(original[key]) ) {
+        utils.mergeObject(original[key], value, {recursive, performDeletions});
+      }
+      else original[key] = isPlainObject(value) ? utils.mergeObject({}, value) : structuredClone(value);
+    }
+    return original;
+  },
+
+  escapeHTML(value) {
+    const entities = {"&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#x27;"};
+    return String(value).replace(/[&<>"']/g, c => entities[c]);
+  },
+
+  isEmpty(value) {
+    if ( !value ) return true;
+    if ( Array.isArray(value) ) return !value.length;
+    return !Object.keys(value).length;
+  },
+
+  randomID(length=16) {
+    const chars = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+    return Array.from({length}, () => chars[Math.floor(Math.random() * chars.length)]).join("");
+  }
+};
+
+/* -------------------------------------------- */
+/*  Collections and Documents                   */
+/* -------------------------------------------- */
+
+/**
+ * A Map with the query helpers of foundry.utils.Collection
+ */
+export class Collection extends Map {
+  *[Symbol.iterator]() {
+    yield* this.values();
+  }
+
+  get contents() {
+    return Array.from(this.values());
+  }
+
+  find(predicate) {
+    for ( const value of this.values() ) {
+      if ( predicate(value) ) return value;
+    }
+    return undefined;
+  }
+
+  filter(predicate) {
+    return this.contents.filter(predicate);
+  }
+
+  map(transform) {
+    return this.contents.map(transform);
+  }
+
+  some(predicate) {
+    return this.contents.some(predicate);
+  }
+
+  getName(name) {
+    return this.find(d => d.name === name);
+  }
+}
+
+/**
+ * An in-memory Document. Its data are stored as its own properties, except its folder which is resolved by id.
+ */
+class StubDocument {
+  /**
+   * @param {object} [data]                 The document data
+   * @param {object} [options]
+   * @param {StubDocument} [options.parent] The parent document of an embedded document
+   */
+  constructor(data={}, {parent=null}={}) {
+    this.parent = parent;
+    this._id = data._id ?? utils.randomID();
+    this.name = "";
+    this.flags = {};
+    this.ownership = {default: CONST.DOCUMENT_OWNERSHIP_LEVELS.NONE};
+    this.sort = 0;
+    this._stats = {createdTime: Date.now(), modifiedTime: Date.now()};
+    this._folder = null;
+    for ( const field of Object.values(this.constructor.embedded) ) this[field] = new Collection();
+    this._applyChanges(this.constructor.migrateData(utils.expandObject(data)));
+  }
+
+  /**
+   * The embedded collections of this document, by embedded document name
+   * @type {Record<string, string>}
+   */
+  static embedded = {};
+
+  /**
+   * The name of the world collection of this document type, in game
+   * @type {string}
+   */
+  static collectionName = "";
+
+  /**
+   * Migrate legacy data fields
+   * @param {object} data
+   * @return {object}
+   */
+  static migrateData(data) {
+    return data;
+  }
+
+  /**
+   * The world collection of this document type
+   * @param {object} [options]          Document operation options. Compendium operations are not supported
+   * @return {Collection}
+   */
+  static getCollection(options={}) {
+    if ( options.pack ) throw new Error("Compendium operations are not supported by the test harness");
+    return game[this.collectionName];
+  }
+
+  get id() {
+    return this._id;
+  }
+
+  get documentName() {
+    return this.constructor.name;
+  }
+
+  get uuid() {
+    const id = `${this.documentName}.${this.id}`;
+    return this.parent ? `${this.parent.uuid}.${id}` : id;
+  }
+
+  get folder() {
+    return this._folder ? (game.folders.get(this._folder) ?? null) : null;
+  }
+
+  get pack() {
+    return null;
+  }
+
+  get sheet() {
+    return {render: () => this};
+  }
+
+  getFlag(scope, key) {
+    return utils.getProperty(this.flags[scope] ?? {}, key);
+  }
+
+  testUserPermission() {
+    return true;
+  }
+
+  toObject() {
+    const {parent, _folder, ...data} = this;
+    for ( const field of Object.values(this.constructor.embedded) ) data[field] = this[field].map(d => d.toObject());
+    return structuredClone({...data, folder: _folder});
+  }
+
+  /**
+   * Apply changes to the document data
+   * @param {object} changes                The expanded changes
+   * @param {object} [options]
+   * @param {boolean} [options.recursive=true]  Merge inner objects rather than replacing them. Embedded
+   *                                            documents which are not part of a non-recursive update are removed.
+   * @private
+   */
+  _applyChanges(changes, {recursive=true}={}) {
+    for ( const [key, value] of Object.entries(changes) ) {
+      if ( key === "_id" ) continue;
+      if ( key === "folder" ) this._folder = value ?? null;
+      else if ( key in this.constructor.embedded ) {
+        const documentClass = CONFIG[key].documentClass;
+        const collection = this[this.constructor.embedded[key]];
+        if ( !recursive ) collection.clear();
+        for ( const data of value ) {
+          const doc = new documentClass(data, {parent: this});
+          collection.set(doc.id, doc);
+        }
+      }
+      else if ( Object.values(this.constructor.embedded).includes(key) ) {
+        const name = Object.keys(this.constructor.embedded).find(k => this.constructor.embedded[k] === key);
+        this._applyChanges({[name]: value}, {recursive});
+      }
+      else if ( key.startsWith("-=") ) delete this[key.slice(2)];
+      else if ( isPlainObject(value) && isPlainObject(this[key]) ) {
+        if ( recursive ) utils.mergeObject(this[key], value);
+        else this[key] = utils.mergeObject({}, value);
+      }
+      else this[key] = structuredClone(value);
+    }
+    this._stats.modifiedTime = Date.now();
+  }
+
+  static async create(data, options={}) {
+    const [doc] = await this.createDocuments([data], options);
+    return doc;
+  }
+
+  static async createDocuments(data=[], options={}) {
+    const collection = this.getCollection(options);
+    const docs = data.map(d => new this(d));
+    for ( const doc of docs ) collection.set(doc.id, doc);
+    return docs;
+  }
+
+  static async updateDocuments(updates=[], options={}) {
+    const collection = this.getCollection(options);
+    return Promise.all(updates.map(({_id, ...changes}) => collection.get(_id).update(changes, options)));
+  }
+
+  static async deleteDocuments(ids=[], options={}) {
+    const collection = this.getCollection(options);
+    const docs = ids.map(id => collection.get(id));
+    for ( const id of ids ) collection.delete(id);
+    return docs;
+  }
+
+  async update(changes, {recursive=true}={}) {
+    this._applyChanges(utils.expandObject(changes), {recursive});
+    return this;
+  }
+
+  async delete() {
+    if ( this.parent ) return this.parent.deleteEmbeddedDocuments(this.documentName, [this.id]);
+    return this.constructor.deleteDocuments([this.id]);
+  }
+
+  async createEmbeddedDocuments(name, data) {
+    const documentClass = CONFIG[name].documentClass;
+    const docs = data.map(d => new documentClass(d, {parent: this}));
+    for ( const doc of docs ) this[this.constructor.embedded[name]].set(doc.id, doc);
+    return docs;
+  }
+
+  async updateEmbeddedDocuments(name, updates) {
+    const collection = this[this.constructor.embedded[name]];
+    return Promise.all(updates.map(({_id, ...changes}) => collection.get(_id).update(changes)));
+  }
+
+  async deleteEmbeddedDocuments(name, ids) {
+    const collection = this[this.constructor.embedded[name]];
+    const docs = ids.map(id => collection.get(id));
+    for ( const id of ids ) collection.delete(id);
+    return docs;
+  }
+}
+
+/**
+ * A page of a journal entry
+ */
+export class JournalEntryPage extends StubDocument {}
+
+/**
+ * A journal entry, with its pages
+ */
+export class JournalEntry extends StubDocument {
+  static embedded = {JournalEntryPage: "pages"};
+  static collectionName = "journal";
+}
+
+/**
+ * A folder of journal entries, nested in its parent folder
+ */
+export class Folder extends StubDocument {
+  static collectionName = "folders";
+
+  /** Folders were nested by their parent before Foundry v10 */
+  static migrateData(data) {
+    if ( "parent" in data ) {
+      data.folder ??= data.parent;
+      delete data.parent;
+    }
+    return data;
+  }
+}
+
+/**
+ * A map note placed on a scene
+ */
+export class NoteDocument extends StubDocument {
+  get entry() {
+    return this.entryId ? (game.journal.get(this.entryId) ?? null) : null;
+  }
+}
+
+/**
+ * A scene, with its map notes
+ */
+export class Scene extends StubDocument {
+  static embedded = {Note: "notes"};
+  static collectionName = "scenes";
+}
+
+/* -------------------------------------------- */
+/*  Applications                                */
+/* -------------------------------------------- */
+
+/**
+ * A rendering-less ApplicationV2
+ */
+class ApplicationV2 {
+  constructor(options={}) {
+    this.options = options;
+    this.rendered = false;
+  }
+
+  async render() {
+    this.rendered = true;
+    return this;
+  }
+
+  get id() {
+    return this.options.id;
+  }
+
+  async close(options={}) {
+    this.rendered = false;
+    this._onClose(options);
+    return this;
+  }
+
+  _onClose(_options) {}
+}
+
+/**
+ * Compiled Handlebars templates, by path
+ * @type {Map<string, function>}
+ */
+const templates = new Map();
+
+/**
+ * Compile a module template. Foundry paths start with modules/world-anvil/
+ * @param {string} templatePath
+ * @return {Promise<function(object): string>}
+ */
+async function getTemplate(templatePath) {
+  if ( !templates.has(templatePath) ) {
+    const file = path.join(MODULE_ROOT, templatePath.replace(/^modules\/world-anvil\//, ""));
+    templates.set(templatePath, Handlebars.compile(await fs.readFile(file, "utf8")));
+  }
+  return templates.get(templatePath);
+}
+
+/* -------------------------------------------- */
+/*  Globals                                     */
+/* -------------------------------------------- */
+
+/**
+ * The notifications displayed to the user, by level
+ * @type {{info: string[], warn: string[], error: string[]}}
+ */
+export const notifications = {info: [], warn: [], error: []};
+
+/**
+ * The hook events which were called, in order
+ * @type {{name: string, args: any[]}[]}
+ */
+export const hookCalls = [];
+
+/**
+ * Registered setting values, by "namespace.key"
+ * @type {Map<string, any>}
+ */
+const settings = new Map();
+
+/**
+ * Install the Foundry globals, a browser DOM, and the English translations of the module
+ * @param {object} [options]
+ * @param {boolean} [options.isGM=true]     Whether the current user is a Game Master
+ * @return {Promise<void>}
+ */
+export async function installFoundry({isGM=true}={}) {
+  const dom = new JSDOM("<!DOCTYPE html><body></body>", {url: "http://localhost/"});
+  for ( const name of ["window", "document", "DOMParser", "Node", "Image", "HTMLElement"] ) {
+    globalThis[name] = name === "window" ? dom.window : dom.window[name];
+  }
+  const translations = JSON.parse(await fs.readFile(path.join(MODULE_ROOT, "lang", "en.json"), "utf8"));
+
+  // String extensions of the Foundry client
+  String.prototype.titleCase ??= function() {
+    if ( !this.length ) return this;
+    return this.toLowerCase().split(" ").map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(" ");
+  };
+
+  globalThis.CONST = {
+    SORT_INTEGER_DENSITY: 100000,
+    FOLDER_MAX_DEPTH: 4,
+    DOCUMENT_OWNERSHIP_LEVELS: {INHERIT: -1, NONE: 0, LIMITED: 1, OBSERVER: 2, OWNER: 3},
+    JOURNAL_ENTRY_PAGE_FORMATS: {HTML: 1, MARKDOWN: 2},
+    GRID_TYPES: {GRIDLESS: 0, SQUARE: 1}
+  };
+
+  globalThis.CONFIG = {
+    JournalEntry: {documentClass: JournalEntry},
+    JournalEntryPage: {documentClass: JournalEntryPage},
+    Folder: {documentClass: Folder},
+    Scene: {documentClass: Scene},
+    Note: {documentClass: NoteDocument}
+  };
+  Object.assign(globalThis, {JournalEntry, JournalEntryPage, Folder, Scene, NoteDocument});
+
+  globalThis.foundry = {
+    utils,
+    applications: {
+      api: {
+        ApplicationV2,
+        HandlebarsApplicationMixin: Base => class extends Base {},
+        DialogV2: {confirm: async () => true}
+      },
+      handlebars: {
+        getTemplate,
+        renderTemplate: async (templatePath, data) => (await getTemplate(templatePath))(data)
+      },
+      apps: {
+        FilePicker: {implementation: class FilePicker {}}
+      }
+    }
+  };
+
+  globalThis.Hooks = {
+    on: () => 0,
+    once: () => 0,
+    call: (name, ...args) => {
+      hookCalls.push({name, args});
+      return true;
+    },
+    callAll: (name, ...args) => {
+      hookCalls.push({name, args});
+      return true;
+    }
+  };
+
+  globalThis.ui = {
+    notifications: Object.fromEntries(Object.keys(notifications).map(level => [level, message => {
+      notifications[level].push(message);
+    }]))
+  };
+
+  globalThis.game = {
+    world: {id: "test-world"},
+    user: {id: "test-user", isGM},
+    time: {
+      get serverTime() {
+        return Date.now();
+      }
+    },
+    journal: new Collection(),
+    folders: new Collection(),
+    scenes: new Collection(),
+    packs: new Collection(),
+    modules: new Collection([["world-anvil", {id: "world-anvil"}]]),
+    i18n: {
+      lang: "en",
+      has: key => key in translations,
+      localize: key => translations[key] ?? key,
+      format: (key, data={}) => (translations[key] ?? key).replace(/{(\w+)}/g, (match, name) => data[name] ?? match)
+    },
+    settings: {
+      register: (namespace, key, config) => settings.set(`${namespace}.${key}`, structuredClone(config.default)),
+      registerMenu: () => {},
+      get: (namespace, key) => structuredClone(settings.get(`${namespace}.${key}`)),
+      set: async (namespace, key, value) => {
+        settings.set(`${namespace}.${key}`, structuredClone(value));
+        return value;
+      }
+    }
+  };
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Remove every document, notification and hook call, so that each test starts from an empty world
+ */
+export function resetWorld() {
+  for ( const collection of [game.journal, game.folders, game.scenes] ) collection.clear();
+  for ( const messages of Object.values(notifications) ) messages.length = 0;
+  hookCalls.length = 0;
+}
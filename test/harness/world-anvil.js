@@ -0,0 +1,115 @@
+import {spawn} from "node:child_process";
+import net from "node:net";
+import path from "node:path";
+import {MODULE_ROOT, installFoundry} from "./foundry.js";
+
+/**
+ * The recorded World of the fixtures in tools/fixtures
+ * @type {string}
+ */
+export const WORLD_ID = "5e3a7d10-0000-4000-8000-00000000a001";
+
+/**
+ * The recorded articles of the fixtures, by name
+ * @enum {string}
+ */
+export const ARTICLE_ID = {
+  mirela: "a0000000-0000-4000-8000-00000000a101",
+  lanternGuild: "a0000000-0000-4000-8000-00000000a102",
+  lighthouse: "a0000000-0000-4000-8000-00000000a103",
+  looseNotes: "a0000000-0000-4000-8000-00000000a104"
+};
+
+/**
+ * The recorded categories of the fixtures, by name
+ * @enum {string}
+ */
+export const CATEGORY_ID = {
+  people: "c0000000-0000-4000-8000-00000000c001",
+  guilds: "c0000000-0000-4000-8000-00000000c002",
+  places: "c0000000-0000-4000-8000-00000000c003"
+};
+
+/* -------------------------------------------- */
+
+/**
+ * Find a free local port
+ * @return {Promise<number>}
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const {port} = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Start the mock World Anvil API of tools/mock-server.mjs, serving the recorded fixtures
+ * @return {Promise<{baseUrl: string, stop: function(): Promise<void>}>}
+ */
+export async function startMockServer() {
+  const port = await getFreePort();
+  const server = spawn(process.execPath, [path.join(MODULE_ROOT, "tools", "mock-server.mjs"), "--port", String(port)], {
+    stdio: ["ignore", "pipe", "inherit"]
+  });
+  await new Promise((resolve, reject) => {
+    server.once("exit", code => reject(new Error(`The mock server exited with code ${code}`)));
+    server.stdout.on("data", chunk => {
+      if ( chunk.toString().includes("listening") ) resolve();
+    });
+  });
+  server.removeAllListeners("exit");
+  return {
+    baseUrl: `http://127.0.0.1:${port}/`,
+    stop: () => new Promise(resolve => {
+      server.once("exit", () => resolve());
+      server.kill();
+    })
+  };
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Install the Foundry stubs, and initialize the module against the mock World Anvil API, as the init and ready
+ * hooks of wa.js do. Module files are imported once the globals they extend exist.
+ * @param {object} [options]
+ * @param {boolean} [options.isGM=true]     Whether the current user is a Game Master
+ * @return {Promise<{framework: object, anvil: WorldAnvil, stop: function(): Promise<void>}>}
+ */
+export async function setupModule({isGM=true}={}) {
+  await installFoundry({isGM});
+  const server = await startMockServer();
+
+  // The module logs each request, keep the test report readable
+  for ( const method of ["log", "warn"] ) {
+    const write = console[method];
+    console[method] = (...args) => {
+      if ( args[0] !== "World Anvil |" ) write(...args);
+    };
+  }
+
+  const {default: WorldAnvilConfig} = await import("../../module/config.js");
+  const {default: WorldAnvil} = await import("../../module/api.js");
+  const {default: WorldAnvilPageNames} = await import("../../module/pagenames.js");
+  const framework = await import("../../module/framework.js");
+
+  WorldAnvilConfig.registerSettings();
+  await game.settings.set("world-anvil", "authToken", "mock-token");
+  await game.settings.set("world-anvil", "configuration", {worldIds: [WORLD_ID]});
+
+  const module = game.modules.get("world-anvil");
+  module.anvil = new WorldAnvil({baseUrl: server.baseUrl});
+  module.pageNames = new WorldAnvilPageNames();
+  module.browser = {rendered: false, render: () => {}};
+  module.api = framework;
+  await module.anvil.connect();
+  await framework.loadTimelineTemplateInMemory();
+  return {framework, anvil: module.anvil, stop: server.stop};
+}
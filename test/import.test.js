@@ -0,0 +1,152 @@
+import {after, before, beforeEach, describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {hookCalls, resetWorld} from "./harness/foundry.js";
+import {ARTICLE_ID, CATEGORY_ID, WORLD_ID, setupModule} from "./harness/world-anvil.js";
+
+/**
+ * Import recorded articles of the mock World Anvil API into the stubbed world journal
+ */
+describe("importArticle", () => {
+  let framework;
+  let stop;
+
+  before(async () => ({framework, stop} = await setupModule()));
+  after(() => stop());
+  beforeEach(() => resetWorld());
+
+  it("creates a journal entry with a page for each part of the article", async () => {
+    const entry = await framework.importArticle(ARTICLE_ID.mirela, {notify: false});
+    assert.equal(entry.name, "Captain Mirela Vost");
+    assert.equal(game.journal.size, 1);
+
+    const pages = entry.pages.contents.sort((a, b) => a.sort - b.sort);
+    assert.deepEqual(pages.map(p => [p.name, p.type, p.flags["world-anvil"].pageRole]), [
+      ["Article", "text", "mainArticle"],
+      ["Side contents", "text", "sideContent"],
+      ["Secrets", "text", "secrets"],
+      ["Portrait", "image", "portrait"]
+    ]);
+    assert.equal(pages[0].text.content, "<section class=\"wa-section main-content\"><p>Mirela commands the "
+      + "<i>Gull's Wake</i>.</p>\n<p>She has never lost a ship.</p></section>");
+    assert.match(pages[1].text.content, /class="wa-section public".*Eyes: grey/);
+    assert.match(pages[2].text.content, /class="wa-section secret".*She secretly serves the Sunken Crown\./);
+    assert.equal(pages[3].src, "https://www.worldanvil.com/uploads/images/mirela.png");
+  });
+
+  it("does not render article metadata as sections", async () => {
+    const entry = await framework.importArticle(ARTICLE_ID.mirela, {notify: false});
+    const html = entry.pages.map(p => p.text?.content ?? "").join("");
+    for ( const field of ["template", "updateDate", "position", "tags"] ) {
+      assert.doesNotMatch(html, new RegExp(`data-section-id="${field}"`));
+    }
+    assert.doesNotMatch(html, /Update Date|Updatedate|Template/);
+  });
+
+  it("renders only template fields, and fields rendered by World Anvil, as sections", async (t) => {
+    const anvil = game.modules.get("world-anvil").anvil;
+    const fetch = anvil._fetch.bind(anvil);
+    t.mock.method(anvil, "_fetch", async (endpoint, ...args) => {
+      const response = await fetch(endpoint, ...args);
+      if ( endpoint !== "article" ) return response;
+      return {...response, publicationDate: "2024-03-05", languages: "Common", languagesParsed: "Common"};
+    });
+    const entry = await framework.importArticle(ARTICLE_ID.mirela, {notify: false});
+    const html = entry.pages.map(p => p.text?.content ?? "").join("");
+    assert.doesNotMatch(html, /data-section-id="publicationDate"|2024-03-05/);
+    assert.match(html, /data-section-id="languages"/);
+    assert.match(html, /data-section-id="sidebarcontent"/);
+  });
+
+  it("flags the entry with its article", async () => {
+    const entry = await framework.importArticle(ARTICLE_ID.mirela, {notify: false});
+    const flags = entry.flags["world-anvil"];
+    assert.equal(flags.articleId, ARTICLE_ID.mirela);
+    assert.equal(flags.articleURL, "https://www.worldanvil.com/w/mock-harbour/a/captain-mirela-vost");
+    assert.equal(flags.worldId, WORLD_ID);
+    assert.equal(flags.updateDate, "2024-03-05 18:30:00.000000");
+    assert.deepEqual(flags.tags, ["captain", "harbour"]);
+    assert.equal(flags.hasSecrets, true);
+    assert.equal(await framework.findImportedEntry(ARTICLE_ID.mirela), entry);
+  });
+
+  it("creates the folders of the article category under a folder of its World", async () => {
+    const entry = await framework.importArticle(ARTICLE_ID.lanternGuild, {notify: false});
+    const guilds = entry.folder;
+    const people = guilds.folder;
+    const root = people.folder;
+    assert.deepEqual([guilds.name, people.name, root.name], ["[WA] Harbour Guilds", "[WA] People", "[WA] Mock Harbour"]);
+    assert.equal(root.folder, null);
+    assert.equal(guilds.type, "JournalEntry");
+    assert.equal(guilds.getFlag("world-anvil", "categoryId"), CATEGORY_ID.guilds);
+    assert.equal(people.getFlag("world-anvil", "categoryId"), CATEGORY_ID.people);
+    assert.equal(guilds.getFlag("world-anvil", "worldId"), WORLD_ID);
+    assert.equal(game.folders.size, 3);
+
+    // Folders are reused by the following imports
+    const mirela = await framework.importArticle(ARTICLE_ID.mirela, {notify: false});
+    assert.equal(mirela.folder, people);
+    assert.equal(game.folders.size, 3);
+  });
+
+  it("files articles without a category in the Uncategorized folder", async () => {
+    const entry = await framework.importArticle(ARTICLE_ID.looseNotes, {notify: false});
+    assert.equal(entry.folder.getFlag("world-anvil", "categoryId"), "uncategorized");
+    assert.equal(entry.folder.folder.name, "[WA] Mock Harbour");
+  });
+
+  it("sorts entries in the order of the articles of their category", async () => {
+    const entry = await framework.importArticle(ARTICLE_ID.mirela, {notify: false});
+    assert.equal(entry.sort, CONST.SORT_INTEGER_DENSITY);
+  });
+
+  it("includes the main page of imported articles in article blocks", async (t) => {
+    await game.settings.set("world-anvil", "includeArticleBlocks", true);
+    t.after(() => game.settings.set("world-anvil", "includeArticleBlocks", false));
+    await framework.importArticle(ARTICLE_ID.lanternGuild, {notify: false});
+    const entry = await framework.importArticle(ARTICLE_ID.lighthouse, {notify: false});
+    const main = entry.pages.find(p => p.flags["world-anvil"].pageRole === "mainArticle");
+    assert.match(main.text.content, /Abandoned since the storm\./);
+    assert.match(main.text.content, /Keepers of the harbour lights\./);
+    assert.match(main.text.content, new RegExp(`class="wa-article-block" data-article-id="${ARTICLE_ID.lanternGuild}"`));
+  });
+
+  it("keeps the pages added by the GM when an article is synced again", async () => {
+    const entry = await framework.importArticle(ARTICLE_ID.mirela, {notify: false});
+    await entry.createEmbeddedDocuments("JournalEntryPage", [{name: "GM notes", type: "text", text: {content: "Mine"}}]);
+    await framework.importArticle(ARTICLE_ID.mirela, {notify: false});
+    assert.equal(entry.pages.getName("GM notes").text.content, "Mine");
+    assert.equal(entry.pages.size, 5);
+  });
+
+  it("fires the creation hooks", async () => {
+    hookCalls.length = 0;
+    await framework.importArticle(ARTICLE_ID.mirela, {notify: false});
+    const hooks = hookCalls.map(c => c.name);
+    assert.ok(hooks.includes("WAParseArticle"));
+    assert.ok(hooks.includes("WACreateJournalEntry"));
+  });
+
+  it("updates the existing entry when an article is synced again", async () => {
+    const entry = await framework.importArticle(ARTICLE_ID.mirela, {notify: false});
+    const pageIds = entry.pages.map(p => p.id).sort();
+    const synced = await framework.importArticle(ARTICLE_ID.mirela, {notify: false});
+    assert.equal(synced, entry);
+    assert.equal(game.journal.size, 1);
+    assert.deepEqual(synced.pages.map(p => p.id).sort(), pageIds);
+  });
+
+  it("does not save a revision when the article did not change", async () => {
+    await framework.importArticle(ARTICLE_ID.mirela, {notify: false});
+    const entry = await framework.importArticle(ARTICLE_ID.mirela, {notify: false});
+    assert.deepEqual(entry.getFlag("world-anvil", "revisions") ?? [], []);
+  });
+
+  it("saves the previous content as a revision when the article changed", async () => {
+    const entry = await framework.importArticle(ARTICLE_ID.mirela, {notify: false});
+    await entry.update({"flags.world-anvil.updateDate": "2024-01-01 00:00:00.000000"});
+    await framework.importArticle(ARTICLE_ID.mirela, {notify: false});
+    const revisions = entry.getFlag("world-anvil", "revisions");
+    assert.equal(revisions.length, 1);
+    assert.equal(entry.getFlag("world-anvil", "updateDate"), "2024-03-05 18:30:00.000000");
+  });
+});
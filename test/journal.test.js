@@ -0,0 +1,56 @@
+import {after, before, describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {WORLD_ID, setupModule} from "./harness/world-anvil.js";
+
+/**
+ * The World Anvil browser, rendered from the persistent cache then refreshed in the background
+ */
+describe("WorldAnvilBrowser", () => {
+  let anvil;
+  let stop;
+  let WorldAnvilBrowser;
+
+  before(async () => {
+    ({anvil, stop} = await setupModule());
+    ({default: WorldAnvilBrowser} = await import("../module/journal.js"));
+  });
+  after(() => stop());
+
+  /**
+   * Create a browser which displays a cached listing of the active World
+   * @return {WorldAnvilBrowser}
+   */
+  function createBrowser() {
+    const browser = new WorldAnvilBrowser();
+    browser.articles = [];
+    browser.maps = [];
+    browser.categories = new Map();
+    return browser;
+  }
+
+  it("displays the refreshed listings of the World", async (t) => {
+    const browser = createBrowser();
+    t.mock.method(browser, "render", () => {});
+    await browser._refreshInBackground();
+    assert.equal(browser.articles.length, 4);
+    assert.equal(browser.maps.length, 1);
+    assert.equal(browser.render.mock.callCount(), 1);
+  });
+
+  it("discards the refreshed listings once another World is displayed", async (t) => {
+    const browser = createBrowser();
+    const cached = browser.articles;
+    const getArticles = anvil.getArticles.bind(anvil);
+    t.mock.method(anvil, "getArticles", async params => {
+      const result = await getArticles(params);
+      anvil.worldId = "5e3a7d10-0000-4000-8000-00000000a002";
+      return result;
+    });
+    t.after(() => anvil.worldId = WORLD_ID);
+    t.mock.method(browser, "render", () => {});
+    await browser._refreshInBackground();
+    assert.equal(anvil.getArticles.mock.calls[0].arguments[0].worldId, WORLD_ID);
+    assert.equal(browser.articles, cached);
+    assert.equal(browser.render.mock.callCount(), 0);
+  });
+});
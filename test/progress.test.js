@@ -0,0 +1,49 @@
+import {after, before, describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {ARTICLE_ID, setupModule} from "./harness/world-anvil.js";
+
+/**
+ * The progress window of bulk operations, which allows cancelling them
+ */
+describe("WorldAnvilProgress", () => {
+  let anvil;
+  let framework;
+  let stop;
+  let WorldAnvilProgress;
+
+  before(async () => {
+    ({anvil, framework, stop} = await setupModule());
+    ({default: WorldAnvilProgress} = await import("../module/progress.js"));
+  });
+  after(() => stop());
+
+  it("opens a separate window for each operation", () => {
+    const first = new WorldAnvilProgress({label: "First", total: 1});
+    const second = new WorldAnvilProgress({label: "Second", total: 1});
+    assert.match(first.id, /^world-anvil-progress-/);
+    assert.notEqual(first.id, second.id);
+  });
+
+  it("only aborts the World Anvil requests of the cancelled operation", async () => {
+    const progress = new WorldAnvilProgress({label: "Import", total: 2});
+    const cancelled = anvil.getArticle(ARTICLE_ID.mirela, {cache: false, signal: progress.signal});
+    const other = anvil.getArticle(ARTICLE_ID.lighthouse, {cache: false});
+    await progress.close();
+    assert.equal(progress.cancelled, true);
+    await assert.rejects(cancelled, {name: "AbortError"});
+    assert.equal((await other).id, ARTICLE_ID.lighthouse);
+  });
+
+  it("aborts the import of an article before its entry is written", async (t) => {
+    const progress = new WorldAnvilProgress({label: "Import", total: 1});
+    const getArticle = anvil.getArticle.bind(anvil);
+    t.mock.method(anvil, "getArticle", async (...args) => {
+      const article = await getArticle(...args);
+      await progress.close();
+      return article;
+    });
+    await assert.rejects(framework.importArticle(ARTICLE_ID.mirela, {notify: false, signal: progress.signal}),
+      {name: "AbortError"});
+    assert.equal(game.journal.size, 0);
+  });
+});
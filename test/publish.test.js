@@ -0,0 +1,72 @@
+import {after, before, beforeEach, describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {resetWorld} from "./harness/foundry.js";
+import {WORLD_ID, setupModule} from "./harness/world-anvil.js";
+
+/**
+ * Publish journal entries which were not imported from World Anvil as new articles
+ */
+describe("publishEntry", () => {
+  let framework;
+  let anvil;
+  let stop;
+
+  before(async () => ({framework, anvil, stop} = await setupModule()));
+  after(() => stop());
+  beforeEach(() => resetWorld());
+
+  /**
+   * Create a journal entry with two text pages and an image page
+   * @return {Promise<JournalEntry>}
+   */
+  function createEntry() {
+    return JournalEntry.create({
+      name: "Harbour Rumours",
+      pages: [
+        {name: "Docks", type: "text", sort: 1, text: {content: "<p>Smugglers unload at night.</p>"}},
+        {name: "Tavern", type: "text", sort: 2, text: {content: "<p>The innkeeper knows.</p>"}},
+        {name: "Map", type: "image", sort: 3, src: "maps/harbour.webp"}
+      ]
+    });
+  }
+
+  it("merges the text pages of the entry into the main article page", async () => {
+    const entry = await createEntry();
+    const article = await framework.publishEntry(entry, {categoryId: "", templateType: "article", worldId: WORLD_ID});
+    assert.equal(entry.getFlag("world-anvil", "articleId"), article.id);
+    assert.equal(entry.getFlag("world-anvil", "worldId"), WORLD_ID);
+
+    const texts = entry.pages.filter(p => p.type === "text");
+    assert.equal(texts.length, 1);
+    assert.equal(texts[0].name, "Article");
+    assert.equal(texts[0].getFlag("world-anvil", "pageRole"), "mainArticle");
+    assert.equal(texts[0].text.content, "<h2>Docks</h2><p>Smugglers unload at night.</p>"
+      + "<h2>Tavern</h2><p>The innkeeper knows.</p>");
+    assert.ok(entry.pages.getName("Map"));
+    assert.equal(framework.isEntryModifiedLocally(entry), false);
+  });
+
+  it("updates the merged page in place when the article is synced", async () => {
+    const entry = await createEntry();
+    const article = await framework.publishEntry(entry, {categoryId: "", templateType: "article", worldId: WORLD_ID});
+    const main = entry.pages.find(p => p.type === "text");
+    await framework.importArticle(article.id, {notify: false});
+
+    const texts = entry.pages.filter(p => p.type === "text");
+    assert.deepEqual(texts.map(p => p.id), [main.id]);
+    assert.match(main.text.content, /Smugglers unload at night\./);
+    assert.match(main.text.content, /The innkeeper knows\./);
+    assert.equal(entry.pages.size, 2);
+    assert.equal(game.journal.size, 1);
+  });
+
+  it("links the entry to the created article even if a later request fails", async (t) => {
+    const entry = await createEntry();
+    t.mock.method(anvil, "getArticle", async () => {
+      throw new Error("World Anvil is unavailable");
+    });
+    await assert.rejects(framework.publishEntry(entry, {categoryId: "", templateType: "article", worldId: WORLD_ID}));
+    assert.ok(entry.getFlag("world-anvil", "articleId"));
+    assert.equal(entry.pages.find(p => p.type === "text").getFlag("world-anvil", "pageRole"), "mainArticle");
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * A local mock of the World Anvil API (v2: Boromir), serving recorded fixtures.
+ * It allows developing and testing imports without reaching the real service.
+ *
+ * Usage:
+ *   node tools/mock-server.mjs [--port 8765] [--fixtures tools/fixtures] [--latency 0] [--rate-limit 0]
+ *
+ * Then, from the console of a Foundry client:
+ *   game.settings.set("world-anvil", "apiBaseUrl", "http://localhost:8765/")
+ *
+ * Fixtures directory layout:
+ *   identity.json             The authenticated user identity
+ *   user.json                 The user details
+ *   bbcode.json               Recorded bbcode responses, mapping each source string to its parsed HTML
+ *   worlds/<worldId>.json     A recorded world: {world, categories, articles, histories, maps}, maps including their markers
+ */
+import http from "node:http";
+import fs from "node:fs/promises";
+import path from "node:path";
+import {fileURLToPath} from "node:url";
+import {parseArgs} from "node:util";
+
+const {values: args} = parseArgs({
+  options: {
+    port: {type: "string", default: "8765"},
+    fixtures: {type: "string", default: path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures")},
+    latency: {type: "string", default: "0"},
+    "rate-limit": {type: "string", default: "0"}
+  }
+});
+const port = Number(args.port);
+const latency = Number(args.latency);
+const rateLimit = Number(args["rate-limit"]);
+
+/* -------------------------------------------- */
+/*  Fixtures                                    */
+/* -------------------------------------------- */
+
+/**
+ * Read a JSON fixture
+ * @param {...string} parts     The path of the fixture, relative to the fixtures directory
+ * @return {Promise<any|null>}  The parsed fixture, or null if it does not exist
+ */
+async function readFixture(...parts) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(args.fixtures, ...parts), "utf8"));
+  } catch(err) {
+    if ( err.code === "ENOENT" ) return null;
+    throw err;
+  }
+}
+
+/**
+ * Read every recorded world
+ * @return {Promise<object[]>}
+ */
+async function readWorlds() {
+  const files = await fs.readdir(path.join(args.fixtures, "worlds")).catch(() => []);
+  const worlds = await Promise.all(files.filter(f => f.endsWith(".json")).map(f => readFixture("worlds", f)));
+  return worlds.filter(w => w);
+}
+
+/**
+ * Find the recorded world which contains an article
+ * @param {string} articleId
+ * @return {Promise<object|undefined>}
+ */
+async function findArticle(articleId) {
+  if ( createdArticles.has(articleId) ) return createdArticles.get(articleId);
+  for ( const world of await readWorlds() ) {
+    const article = world.articles.find(a => a.id === articleId);
+    if ( article ) return article;
+  }
+}
+
+/**
+ * Find the recorded world which contains a map
+ * @param {string} mapId
+ * @return {Promise<object|undefined>}
+ */
+async function findMap(mapId) {
+  for ( const world of await readWorlds() ) {
+    const map = world.maps?.find(m => m.id === mapId);
+    if ( map ) return {...map, world: {id: world.world.id}};
+  }
+}
+
+/**
+ * A minimal BBCode renderer, used when no recorded response matches the submitted string
+ * @param {string} bbcode
+ * @return {string}
+ */
+function renderBBCode(bbcode) {
+  return bbcode
+    .replace(/\[(\/?)(b|i|u|s|p|h[1-4]|ul|ol|li|blockquote)\]/g, "<$1$2>")
+    .replace(/\[url:([^\]]+)\]([\s\S]*?)\[\/url\]/g, '<a href="$1">$2</a>')
+    .replace(/\[img:([^\]]+)\]/g, '<img src="$1">')
+    .replace(/\[br\]/g, "<br>")
+    .replace(/\n/g, '<span class="line-spacer"></span>');
+}
+
+/* -------------------------------------------- */
+/*  Routes                                      */
+/* -------------------------------------------- */
+
+/**
+ * Article updates received during this session, which are applied over the recorded articles
+ * @type {Map<string, object>}
+ */
+const articleEdits = new Map();
+
+/**
+ * Articles created during this session
+ * @type {Map<string, object>}
+ */
+const createdArticles = new Map();
+
+/**
+ * The current date, formatted like Boromir dates
+ * @return {{date: string, timezone_type: number, timezone: string}}
+ */
+function now() {
+  return {date: `${new Date().toISOString().replace("T", " ").slice(0, 23)}000`, timezone_type: 3, timezone: "UTC"};
+}
+
+/**
+ * Paginate a listing the way Boromir does
+ * @param {object[]} entities     The complete listing
+ * @param {object} body           The POST body, containing limit and offset
+ * @return {object}
+ */
+function paginate(entities, {limit=50, offset=0}={}) {
+  return {success: true, entities: (entities ?? []).slice(offset, offset + limit)};
+}
+
+/**
+ * Each route receives the query parameters and the parsed body, and returns [status, payload]
+ * @type {Record<string, function(URLSearchParams, object): Promise<[number, object]>>}
+ */
+const routes = {
+  "GET identity": async () => [200, await readFixture("identity.json")],
+  "GET user": async () => [200, await readFixture("user.json")],
+  "POST user/worlds": async (query, body) => [200, paginate((await readWorlds()).map(w => w.world), body)],
+  "GET world": async query => {
+    const world = await readFixture("worlds", `${query.get("id")}.json`);
+    return world ? [200, world.world] : [404, {success: false, error: "World not found"}];
+  },
+  "POST world/articles": async (query, body) => {
+    const world = await readFixture("worlds", `${query.get("id")}.json`);
+    if ( !world ) return [404, {success: false, error: "World not found"}];
+    const created = Array.from(createdArticles.values()).filter(a => a.world.id === query.get("id"));
+    return [200, paginate([...world.articles, ...created], body)];
+  },
+  "POST world/categories": async (query, body) => {
+    const world = await readFixture("worlds", `${query.get("id")}.json`);
+    return world ? [200, paginate(world.categories, body)] : [404, {success: false, error: "World not found"}];
+  },
+  "POST world/histories": async (query, body) => {
+    const world = await readFixture("worlds", `${query.get("id")}.json`);
+    return world ? [200, paginate(world.histories, body)] : [404, {success: false, error: "World not found"}];
+  },
+  "POST world/maps": async (query, body) => {
+    const world = await readFixture("worlds", `${query.get("id")}.json`);
+    if ( !world ) return [404, {success: false, error: "World not found"}];
+    return [200, paginate((world.maps ?? []).map(({markers, ...map}) => map), body)];
+  },
+  "GET map": async query => {
+    const map = await findMap(query.get("id"));
+    if ( !map ) return [404, {success: false, error: "Map not found"}];
+    const {markers, ...data} = map;
+    return [200, data];
+  },
+  "POST map/markers": async (query, body) => {
+    const map = await findMap(query.get("id"));
+    return map ? [200, paginate(map.markers, body)] : [404, {success: false, error: "Map not found"}];
+  },
+  "GET article": async query => {
+    const article = await findArticle(query.get("id"));
+    return article ? [200, {...article, ...articleEdits.get(article.id)}] : [404, {success: false, error: "Article not found"}];
+  },
+  "PUT article": async (query, body) => {
+    if ( !body.title || !body.templateType || !body.world?.id ) {
+      return [422, {success: false, error: "title, templateType and world are required"}];
+    }
+    const id = crypto.randomUUID();
+    const slug = body.title.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+    createdArticles.set(id, {
+      id,
+      url: `https://www.worldanvil.com/w/mock/a/${slug}`,
+      position: 0,
+      isDraft: false,
+      isWip: false,
+      tags: "",
+      ...body,
+      updateDate: now()
+    });
+    return [200, {success: true, id, title: body.title}];
+  },
+  "PATCH article": async (query, body) => {
+    const article = await findArticle(query.get("id"));
+    if ( !article ) return [404, {success: false, error: "Article not found"}];
+    articleEdits.set(article.id, {...articleEdits.get(article.id), ...body, updateDate: now()});
+    return [200, {success: true, id: article.id}];
+  },
+  "POST bbcode": async (query, body) => {
+    const recorded = await readFixture("bbcode.json") ?? {};
+    const string = body.string ?? "";
+    return [200, {success: true, parsedString: recorded[string] ?? renderBBCode(string)}];
+  }
+};
+
+/* -------------------------------------------- */
+/*  Server                                      */
+/* -------------------------------------------- */
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, x-auth-token, x-application-key",
+  "Access-Control-Expose-Headers": "Retry-After"
+};
+
+let requestCount = 0;
+
+const server = http.createServer(async (req, res) => {
+  const send = (status, payload, headers={}) => {
+    res.writeHead(status, {"Content-Type": "application/json", ...CORS_HEADERS, ...headers});
+    res.end(JSON.stringify(payload));
+  };
+  if ( req.method === "OPTIONS" ) return send(204, {});
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const endpoint = url.pathname.replace(/^\/+|\/+$/g, "");
+  console.log(`${req.method} /${endpoint}${url.search}`);
+  if ( latency ) await new Promise(resolve => setTimeout(resolve, latency));
+
+  // Simulated failures
+  if ( !req.headers["x-auth-token"] ) return send(401, {success: false, error: "Missing authentication token"});
+  if ( rateLimit && (++requestCount % rateLimit === 0) ) {
+    return send(429, {success: false, error: "Too many requests"}, {"Retry-After": "1"});
+  }
+
+  // Route the request
+  const route = routes[`${req.method} ${endpoint}`];
+  if ( !route ) return send(404, {success: false, error: `Unknown endpoint ${req.method} ${endpoint}`});
+  let body = "";
+  for await ( const chunk of req ) body += chunk;
+  try {
+    const [status, payload] = await route(url.searchParams, body ? JSON.parse(body) : {});
+    send(status, payload ?? {success: false, error: "Missing fixture"});
+  } catch(err) {
+    console.error(err);
+    send(500, {success: false, error: err.message});
+  }
+});
+
+server.listen(port, () => {
+  console.log(`World Anvil mock server listening on http://localhost:${port}/ with fixtures from ${args.fixtures}`);
+});
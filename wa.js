@@ -3,6 +3,10 @@ import WorldAnvilConfig from "./module/config.js";
 import WorldAnvilPageNames from "./module/pagenames.js";
 import WorldAnvilBrowser from "./module/journal.js";
 import * as api from "./module/framework.js";
+import WorldAnvilRevisions from "./module/revisions.js";
+import WorldAnvilPublish from "./module/publish.js";
+import {reportError} from "./module/errors.js";
+import {isSafeURL} from "./module/bbcode.js";
 
 let module = undefined;
 
@@ -52,8 +56,15 @@ Hooks.once("init", async () => {
  */
 Hooks.once("ready", async () => {
   if ( !game.user.isGM ) return;
+  await WorldAnvilConfig.migrateAuthToken();
+  await WorldAnvilConfig.migrateLinkedWorlds();
   await api.loadTimelineTemplateInMemory();
-  return module.anvil.connect();
+  try {
+    await module.anvil.connect();
+  } catch(err) {
+    return reportError(err);
+  }
+  await module.browser.resumeInterruptedImport();
 });
 
 
@@ -74,7 +85,11 @@ Hooks.on("renderJournalDirectory", (app, html, data) => {
 
   button.addEventListener("click", async ev => {
     if ( module.anvil.worldId ) {
-      await module.anvil.getWorld(module.anvil.worldId);
+      try {
+        await module.anvil.getWorld(module.anvil.worldId);
+      } catch(err) {
+        return reportError(err);
+      }
       module.browser.render(true);
     } else {
       module.config.render(true);
@@ -116,12 +131,36 @@ Hooks.on("renderJournalEntrySheet", (app, html, data) => {
         return api.importArticle(articleId);
       });
       title.after(sync);
+
+      // Add header button to browse and restore previous revisions (GM Only)
+      const history = document.createElement("a");
+      history.classList.add("wa-history");
+      history.innerHTML = `<i class="fas fa-history"></i>${game.i18n.localize("WA.History")}`;
+      history.addEventListener("click", event => {
+        event.preventDefault();
+        return new WorldAnvilRevisions({entry}).render(true);
+      });
+      sync.after(history);
+
+      // Add header button to push local edits back to World Anvil (GM Only)
+      const push = document.createElement("a");
+      push.classList.add("wa-push");
+      push.innerHTML = `<i class="fas fa-cloud-upload-alt"></i>${game.i18n.localize("WA.Push.Button")}`;
+      push.addEventListener("click", async event => {
+        event.preventDefault();
+        try {
+          await api.pushArticle(entry);
+        } catch(err) {
+          reportError(err, {retry: () => api.pushArticle(entry)});
+        }
+      });
+      history.after(push);
     }
 
-    // Add WA shortcut on header
+    // Add WA shortcut on header, unless the URL was imported from an untrusted archive and is not http(s)
     const publicArticleLink = game.settings.get("world-anvil", "publicArticleLinks");
     const articleURL = entry.getFlag("world-anvil", "articleURL");
-    if(articleURL) {
+    if( isSafeURL(articleURL) ) {
       if( game.user.isGM || publicArticleLink ) {
         const link = document.createElement("a");
         link.id ="external-link";
@@ -133,6 +172,68 @@ Hooks.on("renderJournalEntrySheet", (app, html, data) => {
   }
 });
 
+/**
+ * Pin the location of imported entries which are moved to another folder by the GM,
+ * so that syncing them does not move them back to the folder of their category
+ */
+Hooks.on("preUpdateJournalEntry", (entry, changes, options, userId) => {
+  if ( options.worldAnvil || !("folder" in changes) ) return;
+  if ( !entry.getFlag("world-anvil", "articleId") ) return;
+  foundry.utils.setProperty(changes, "flags.world-anvil.pinnedLocation", true);
+});
+
+
+/* -------------------------------------------- */
+
+
+/**
+ * Add options to pin or unpin the location of imported entries, and to publish other entries to World Anvil,
+ * in the Journal Directory context menu
+ */
+Hooks.on("getJournalEntryContextOptions", (app, options) => {
+  const getEntry = li => game.journal.get(li.dataset.entryId);
+  const isImported = li => game.user.isGM && !!getEntry(li)?.getFlag("world-anvil", "articleId");
+  const isPinned = li => !!getEntry(li)?.getFlag("world-anvil", "pinnedLocation");
+  options.push({
+    name: "WA.PinLocation",
+    icon: '<i class="fas fa-thumbtack"></i>',
+    condition: li => isImported(li) && !isPinned(li),
+    callback: li => api.pinEntryLocation(getEntry(li), true)
+  }, {
+    name: "WA.UnpinLocation",
+    icon: '<i class="fas fa-thumbtack"></i>',
+    condition: li => isImported(li) && isPinned(li),
+    callback: li => api.pinEntryLocation(getEntry(li), false)
+  }, {
+    name: "WA.Publish.Action",
+    icon: '<i class="fas fa-cloud-upload-alt"></i>',
+    condition: li => {
+      const entry = getEntry(li);
+      return game.user.isGM && !!game.modules.get("world-anvil").anvil.worldId && !!entry
+        && !entry.getFlag("world-anvil", "articleId") && entry.pages.some(p => p.type === "text");
+    },
+    callback: li => new WorldAnvilPublish({entry: getEntry(li)}).render(true)
+  });
+});
+
+
+/* -------------------------------------------- */
+
+
+/**
+ * Map Notes of World Anvil markers whose article is not linked yet display it on demand, importing it if needed
+ */
+Hooks.on("activateNote", (note, options) => {
+  const articleId = note.document.getFlag("world-anvil", "articleId");
+  if ( !articleId || note.document.entry ) return;
+  api.activateMapNote(note.document).catch(err => reportError(err));
+  return false;
+});
+
+
+/* -------------------------------------------- */
+
+
 Hooks.on("renderJournalEntryPageSheet", (app, html, data) => {
   // Activate cross-link listeners
   activeTimelineToggles(app, html);
@@ -141,7 +242,7 @@ Hooks.on("renderJournalEntryPageSheet", (app, html, data) => {
 
 function activateWALinks(html) {
 
-  const activateClick = (event) => {
+  const activateClick = async (event) => {
     const articleId = event.currentTarget.dataset.articleId;
     if( !articleId ) {
       return;
@@ -149,7 +250,12 @@ function activateWALinks(html) {
     event.stopPropagation();
 
     // View an existing linked article (OBSERVER+)
-    const entry = game.journal.find(e => e.getFlag("world-anvil", "articleId") === articleId);
+    let entry;
+    try {
+      entry = await api.findImportedEntry(articleId);
+    } catch(err) {
+      return reportError(err);
+    }
     if ( entry ) {
       if ( !entry.testUserPermission(game.user, "OBSERVER") ) {
         return ui.notifications.warn(game.i18n.localize("WA.NoPermissionView"));